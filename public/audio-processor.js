@@ -1,15 +1,91 @@
+/**
+ * audio-processor.js
+ *
+ * AudioWorklet capture processor
+ *
+ * Responsibilities:
+ * - Accumulate 128-sample render quanta into a ring buffer
+ * - Emit an overlapping analysis window every hop (default 40ms window,
+ *   20ms hop) instead of one message per quantum
+ * - Stamp each window with the audio clock (frame index and seconds) of its
+ *   last sample
+ * - Transfer window memory to the analysis worker instead of copying it
+ *
+ * The main thread sends { type: 'connect', port } with a MessagePort wired to
+ * the analysis worker; until then windows go to this node's own port.
+ * { type: 'disconnect' } closes that port and ends the processor.
+ */
+
+const DEFAULT_WINDOW_SIZE = 640; // 40ms at 16kHz
+const DEFAULT_HOP_SIZE = 320;    // 20ms at 16kHz
+
 class AudioProcessor extends AudioWorkletProcessor {
-  process(inputs, outputs) {
-    const inputData = inputs[0][0]; // Get first channel of first input
+  constructor(options) {
+    super();
+
+    const { windowSize = DEFAULT_WINDOW_SIZE, hopSize = DEFAULT_HOP_SIZE } = options.processorOptions || {};
+    this.windowSize = windowSize;
+    this.hopSize = Math.min(hopSize, windowSize);
+
+    this.ring = new Float32Array(windowSize);
+    this.writeIndex = 0;     // Next ring slot to write
+    this.filled = 0;         // Samples written so far, capped at windowSize
+    this.sinceLastHop = 0;   // Samples written since the last emitted window
+    this.output = this.port;
+    this.isStopped = false;
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'connect') {
+        this.output = event.data.port;
+      } else if (event.data.type === 'disconnect') {
+        if (this.output !== this.port) this.output.close();
+        this.isStopped = true;
+      }
+    };
+  }
+
+  process(inputs) {
+    if (this.isStopped) return false; // Microphone stopped: let the node go
 
-    // Send audio data back to main thread
-    this.port.postMessage({
-      audioData: inputData,
-      timestamp: Date.now(),
-    });
+    const input = inputs[0][0]; // First channel of first input
+
+    // No input connected yet (or the track ended): keep the node alive
+    if (!input) return true;
+
+    for (let i = 0; i < input.length; i++) {
+      this.ring[this.writeIndex] = input[i];
+      this.writeIndex = (this.writeIndex + 1) % this.windowSize;
+      if (this.filled < this.windowSize) this.filled++;
+      this.sinceLastHop++;
+
+      if (this.sinceLastHop >= this.hopSize && this.filled === this.windowSize) {
+        // currentFrame is the first frame of this quantum
+        this.emitWindow(currentFrame + i + 1);
+      }
+    }
 
     return true; // Keep the node alive
   }
+
+  /**
+   * Post the newest full window in chronological order
+   * endFrame is the audio-clock frame just after the window's last sample
+   */
+  emitWindow(endFrame) {
+    const data = new Float32Array(this.windowSize);
+    const tail = this.windowSize - this.writeIndex;
+    data.set(this.ring.subarray(this.writeIndex), 0);
+    data.set(this.ring.subarray(0, this.writeIndex), tail);
+
+    this.output.postMessage({
+      audioData: data,
+      hopSize: this.sinceLastHop,
+      endFrame,
+      sampleRate,
+    }, [data.buffer]);
+
+    this.sinceLastHop = 0;
+  }
 }
 
-registerProcessor('audio-processor', AudioProcessor);
\ No newline at end of file
+registerProcessor('audio-processor', AudioProcessor);
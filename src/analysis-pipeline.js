@@ -0,0 +1,235 @@
+/**
+ * analysis-pipeline.js
+ *
+ * Live lip sync analysis pipeline, hosted by the analysis worker
+ *
+ * Responsibilities:
+ * - Receive capture windows straight from the audio worklet over a MessagePort
+ * - Receive windows of a playing audio file from the main thread
+ * - Run every new microphone hop through the voice activity gate
+ * - Analyze only the newest window once the backlog of messages is drained
+ * - Post viseme results (with gate state and counters) back to the owner
+ * - Apply pause/reset, gate and smoothing commands from the main thread
+ * - Analyze whole recordings for timeline export (Rhubarb blocks while it
+ *   runs, so it stays off the render thread too)
+ *
+ * Both sources share one analyzer stream and viseme state machine, so the
+ * owner pauses the microphone while a file plays; paused microphone windows
+ * only feed the gate and never take the file's place in the queue.
+ *
+ * The same pipeline runs in-thread when Web Workers are unavailable, so it
+ * only talks through `post` and never touches the DOM.
+ */
+
+import { initLipSync, processAudioBuffer, analyzeAudioOffline, getPhonemeCategory, resetPhonemeHistory, setVisemeSettings, getDiagnosticInfo } from './lipsync.js';
+import { configureVad, startNoiseCalibration, cancelNoiseCalibration, processVadFrame, isVadEnabled, getVadState } from './vad.js';
+
+/**
+ * Create a pipeline that reports through post(message)
+ */
+export function createAnalysisPipeline(post) {
+  let capturePort = null;
+  let latestWindow = null;
+  let isDrainScheduled = false;
+  let isAnalyzing = false;
+  let isPaused = false; // Microphone only; file playback keeps analyzing
+  let isVadReportScheduled = false;
+  let stats = createStats();
+
+  /**
+   * One capture window from the worklet (or the ScriptProcessor fallback)
+   */
+  function receiveWindow({ audioData, hopSize, endFrame, sampleRate }) {
+    // The gate sees every hop, even while muted, so calibration keeps running
+    const isSpeech = processVadFrame(audioData.subarray(audioData.length - hopSize), sampleRate);
+
+    stats.windowsReceived++;
+    stats.lastWindowTime = endFrame / sampleRate;
+
+    if (isPaused) {
+      scheduleVadReport();
+      return;
+    }
+
+    if (latestWindow?.source === 'mic') stats.windowsDropped++;
+    queueWindow({
+      source: 'mic',
+      data: audioData,
+      frame: endFrame,
+      timestamp: endFrame / sampleRate, // Audio-clock time of the last sample
+      sampleRate,
+      isSpeech: isVadEnabled() ? isSpeech : undefined,
+    });
+  }
+
+  /**
+   * One window of a playing file, ending at the playhead (timestamp: file
+   * position in seconds); no gate, the file is analyzed as it is
+   */
+  function receivePlaybackWindow({ data, timestamp, sampleRate }) {
+    queueWindow({ source: 'file', data, frame: null, timestamp, sampleRate });
+  }
+
+  /**
+   * Post the gate state once per backlog of paused microphone windows
+   */
+  function scheduleVadReport() {
+    if (isVadReportScheduled) return;
+    isVadReportScheduled = true;
+    setTimeout(() => {
+      isVadReportScheduled = false;
+      post({ type: 'vad', vad: getVadState() });
+    }, 0);
+  }
+
+  function queueWindow(audioWindow) {
+    latestWindow = audioWindow;
+
+    // A zero-delay timer runs after every message already queued, so a
+    // backlog collapses into one analysis of the newest window
+    if (!isDrainScheduled) {
+      isDrainScheduled = true;
+      setTimeout(drain, 0);
+    }
+  }
+
+  async function drain() {
+    isDrainScheduled = false;
+    if (isAnalyzing || !latestWindow) return;
+
+    const audioWindow = latestWindow;
+    latestWindow = null;
+
+    isAnalyzing = true;
+    const startedAt = performance.now();
+
+    try {
+      const phonemes = await processAudioBuffer(audioWindow);
+      if (!phonemes || phonemes.length === 0) return;
+
+      // Cues are chronological, so the last one is the most recent;
+      // hold times run on the audio clock (or the file position)
+      const phoneme = phonemes[phonemes.length - 1];
+      const category = getPhonemeCategory(phoneme, audioWindow.timestamp * 1000);
+      const analysisMs = performance.now() - startedAt;
+
+      if (audioWindow.source === 'mic') {
+        stats.windowsAnalyzed++;
+        stats.lastAnalysisMs = analysisMs;
+      }
+
+      post({
+        type: 'viseme',
+        source: audioWindow.source,
+        category,
+        phoneme: phoneme.phoneme || phoneme.shape || 'rest',
+        confidence: phoneme.confidence ?? 1,
+        analysisMs,
+        frame: audioWindow.frame,
+        timestamp: audioWindow.timestamp,
+        vad: getVadState(),
+        stats: { ...stats },
+        diagnostics: getDiagnosticInfo(),
+      });
+    } catch (error) {
+      console.error('Error analyzing capture window:', error);
+    } finally {
+      isAnalyzing = false;
+      // Windows that arrived during an async analysis still need a pass
+      if (latestWindow && !isDrainScheduled) {
+        isDrainScheduled = true;
+        setTimeout(drain, 0);
+      }
+    }
+  }
+
+  function setCapturePort(port) {
+    capturePort?.close();
+    capturePort = port;
+    latestWindow = null;
+    stats = createStats();
+    capturePort.onmessage = (event) => receiveWindow(event.data);
+  }
+
+  async function runCalibration(id, durationMs) {
+    try {
+      const noiseFloorDb = await startNoiseCalibration(durationMs);
+      post({ type: 'calibrated', id, noiseFloorDb, vad: getVadState() });
+    } catch (error) {
+      post({ type: 'calibration-failed', id, error: error.message, vad: getVadState() });
+    }
+  }
+
+  async function runRecordingAnalysis(id, samples, sampleRate) {
+    try {
+      const onProgress = (progress) => post({ type: 'recording-progress', id, progress });
+      const cues = await analyzeAudioOffline(samples, sampleRate, { onProgress });
+      post({ type: 'recording-analyzed', id, cues, diagnostics: getDiagnosticInfo() });
+    } catch (error) {
+      post({ type: 'recording-failed', id, error: error.message });
+    }
+  }
+
+  /**
+   * Handle a command from the main thread
+   */
+  async function handleMessage(message, ports = []) {
+    switch (message.type) {
+      case 'init': {
+        try {
+          const result = await initLipSync();
+          post({ type: 'ready', ...result, diagnostics: getDiagnosticInfo(), vad: getVadState() });
+        } catch (error) {
+          // The owner falls back to analyzing elsewhere
+          post({ type: 'ready', success: false, failed: true, error: error.message });
+        }
+        break;
+      }
+      case 'capture-port':
+        setCapturePort(ports[0]);
+        break;
+      case 'playback-window':
+        receivePlaybackWindow(message.window);
+        break;
+      case 'pause':
+        isPaused = message.paused;
+        if (latestWindow?.source === 'mic') latestWindow = null;
+        resetPhonemeHistory();
+        break;
+      case 'reset':
+        latestWindow = null;
+        resetPhonemeHistory();
+        break;
+      case 'configure-vad':
+        configureVad(message.settings);
+        post({ type: 'vad', vad: getVadState() });
+        break;
+      case 'calibrate':
+        runCalibration(message.id, message.durationMs);
+        break;
+      case 'cancel-calibration':
+        cancelNoiseCalibration();
+        break;
+      case 'analyze-recording':
+        runRecordingAnalysis(message.id, message.samples, message.sampleRate);
+        break;
+      case 'viseme-settings':
+        setVisemeSettings(message.category, message.settings);
+        break;
+      default:
+        console.warn(`Unknown analysis command: ${message.type}`);
+    }
+  }
+
+  return { handleMessage };
+}
+
+function createStats() {
+  return {
+    windowsReceived: 0,
+    windowsAnalyzed: 0,
+    windowsDropped: 0,
+    lastWindowTime: null,
+    lastAnalysisMs: null,
+  };
+}
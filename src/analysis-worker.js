@@ -0,0 +1,17 @@
+/**
+ * analysis-worker.js
+ *
+ * Web Worker entry point for live lip sync analysis
+ *
+ * Responsibilities:
+ * - Host the analysis pipeline off the render thread
+ * - Relay commands from the main thread and results back to it
+ */
+
+import { createAnalysisPipeline } from './analysis-pipeline.js';
+
+const pipeline = createAnalysisPipeline(message => self.postMessage(message));
+
+self.onmessage = (event) => {
+  pipeline.handleMessage(event.data, event.ports);
+};
@@ -0,0 +1,275 @@
+/**
+ * analysis.js
+ *
+ * Main-thread side of live lip sync analysis
+ *
+ * Responsibilities:
+ * - Start the analysis worker (or run the pipeline in-thread as a fallback)
+ * - Hand the capture side a MessagePort wired directly to the worker
+ * - Send windows of a playing audio file to the worker
+ * - Keep only the latest viseme result per source (microphone, file) for
+ *   the animation loop
+ * - Forward gate, calibration and smoothing commands to the worker (smoothing
+ *   is mirrored on this thread for the settings panel)
+ * - Analyze whole recordings for timeline export in the worker
+ * - Mirror the worker's gate state and diagnostics for the UI
+ */
+
+import { createAnalysisPipeline } from './analysis-pipeline.js';
+import { setVisemeSettings as setLocalVisemeSettings, getVisemeSettings as getLocalVisemeSettings } from './lipsync.js';
+import { getVadState as getDefaultVadState } from './vad.js';
+
+const WORKER_READY_TIMEOUT_MS = 15000; // A cold module worker can take a while to load
+
+let worker = null;
+let inThreadPipeline = null;
+let latestResults = { mic: null, file: null };
+let vadState = getDefaultVadState();
+let diagnostics = { phoneme: 'idle', history: [], engine: 'none', exportEngine: 'not loaded' };
+let stats = null;
+let pendingCalibration = null; // { id, resolve, reject }
+let nextCalibrationId = 1;
+let pendingRecordings = new Map(); // id -> { resolve, reject, onProgress }
+let nextRecordingId = 1;
+let readyResolve = null;
+
+/**
+ * Start the analysis worker and initialize lip sync inside it
+ * A worker that can't be created, fails to load, errors or doesn't report
+ * ready in time is dropped for the in-thread pipeline
+ * Resolves like initLipSync(), plus whether a worker is in use
+ */
+export async function initAnalysis() {
+  try {
+    const result = await startWorker();
+    return { ...result, inWorker: true };
+  } catch (error) {
+    console.warn('⚠️ Analysis worker unavailable, analyzing on the main thread:', error);
+    stopWorker();
+  }
+
+  inThreadPipeline = createAnalysisPipeline(message => handleResult(message));
+  const result = await requestReady();
+  return { ...result, inWorker: false };
+}
+
+/**
+ * Resolves once the worker has initialized lip sync; rejects on a worker
+ * error, a failed init or the timeout
+ */
+async function startWorker() {
+  worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => handleResult(event.data);
+
+  const failed = new Promise((resolve, reject) => {
+    worker.onerror = (event) => {
+      console.error('❌ Analysis worker error:', event.message);
+      reject(new Error(event.message || 'Analysis worker failed to load'));
+    };
+  });
+  let timer = null;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Analysis worker not ready after ${WORKER_READY_TIMEOUT_MS} ms`)), WORKER_READY_TIMEOUT_MS);
+  });
+
+  const result = await Promise.race([requestReady(), failed, timedOut]).finally(() => clearTimeout(timer));
+  if (result.failed) throw new Error(result.error);
+
+  // Errors after startup are logged; the worker keeps running
+  worker.onerror = (event) => console.error('❌ Analysis worker error:', event.message);
+  return result;
+}
+
+function stopWorker() {
+  worker?.terminate();
+  worker = null;
+  readyResolve = null;
+}
+
+/**
+ * Ask the pipeline to initialize lip sync and wait for its 'ready' message
+ */
+function requestReady() {
+  const ready = new Promise(resolve => { readyResolve = resolve; });
+  send({ type: 'init' });
+  return ready;
+}
+
+/**
+ * Send a command to the worker, or straight to the in-thread pipeline
+ */
+function send(message, transfer = []) {
+  if (worker) {
+    worker.postMessage(message, transfer);
+  } else if (inThreadPipeline) {
+    inThreadPipeline.handleMessage(message, transfer.filter(item => item instanceof MessagePort));
+  }
+}
+
+function handleResult(message) {
+  if (message.vad) vadState = message.vad;
+  if (message.diagnostics) diagnostics = message.diagnostics;
+  if (message.stats) stats = message.stats;
+
+  switch (message.type) {
+    case 'ready':
+      readyResolve?.({ success: message.success, engine: message.engine, error: message.error, failed: message.failed });
+      readyResolve = null;
+      break;
+    case 'viseme':
+      latestResults[message.source] = message;
+      break;
+    case 'calibrated':
+      // Replies to a replaced calibration were already settled here
+      if (pendingCalibration?.id !== message.id) break;
+      pendingCalibration.resolve(message.noiseFloorDb);
+      pendingCalibration = null;
+      break;
+    case 'calibration-failed':
+      if (pendingCalibration?.id !== message.id) break;
+      pendingCalibration.reject(new Error(message.error));
+      pendingCalibration = null;
+      break;
+    case 'recording-progress':
+      pendingRecordings.get(message.id)?.onProgress?.(message.progress);
+      break;
+    case 'recording-analyzed':
+      pendingRecordings.get(message.id)?.resolve(message.cues);
+      pendingRecordings.delete(message.id);
+      break;
+    case 'recording-failed':
+      pendingRecordings.get(message.id)?.reject(new Error(message.error));
+      pendingRecordings.delete(message.id);
+      break;
+  }
+}
+
+/**
+ * New MessagePort whose windows go directly to the analysis worker
+ * Transfer it to the audio worklet; the previous port is closed
+ */
+export function createCapturePort() {
+  const channel = new MessageChannel();
+  send({ type: 'capture-port' }, [channel.port2]);
+  return channel.port1;
+}
+
+/**
+ * Analyze a window of a playing file (from playback.getPlaybackWindow());
+ * its result arrives as a 'file' viseme result
+ * The samples are copied, so the decoded file stays on this thread
+ */
+export function analyzePlaybackWindow({ data, timestamp, sampleRate }) {
+  const samples = data.slice();
+  send({ type: 'playback-window', window: { data: samples, timestamp, sampleRate } }, [samples.buffer]);
+}
+
+/**
+ * Analyze a whole recording for timeline export in the worker (see
+ * lipsync.analyzeAudioOffline()); resolves with its cues
+ * The samples are copied, so the decoded file stays on this thread
+ */
+export function analyzeRecording(samples, sampleRate, { onProgress = null } = {}) {
+  const copy = samples.slice();
+
+  return new Promise((resolve, reject) => {
+    const id = nextRecordingId++;
+    pendingRecordings.set(id, { resolve, reject, onProgress });
+    send({ type: 'analyze-recording', id, samples: copy, sampleRate }, [copy.buffer]);
+  });
+}
+
+/**
+ * Newest viseme result for a source ('mic' or 'file') since the last call,
+ * or null
+ * Result: { source, category, phoneme, confidence, analysisMs, frame, timestamp }
+ */
+export function takeLatestVisemeResult(source = 'mic') {
+  const result = latestResults[source];
+  latestResults[source] = null;
+  return result;
+}
+
+/**
+ * Stop analyzing the microphone (while muted or a file plays); the gate keeps
+ * listening
+ */
+export function setAnalysisPaused(paused) {
+  latestResults.mic = null;
+  send({ type: 'pause', paused });
+}
+
+/**
+ * Drop pending audio and restart smoothing and the analyzer stream
+ */
+export function resetAnalysis() {
+  latestResults = { mic: null, file: null };
+  send({ type: 'reset' });
+}
+
+/**
+ * Update gate settings (any subset of vad.js settings)
+ */
+export function configureVad(settings) {
+  send({ type: 'configure-vad', settings });
+}
+
+/**
+ * Calibrate the noise floor from the next durationMs of captured audio
+ * A calibration still running is rejected with 'Calibration restarted'
+ */
+export function startNoiseCalibration(durationMs = 3000) {
+  pendingCalibration?.reject(new Error('Calibration restarted'));
+
+  return new Promise((resolve, reject) => {
+    const id = nextCalibrationId++;
+    pendingCalibration = { id, resolve, reject };
+    send({ type: 'calibrate', id, durationMs });
+  });
+}
+
+export function cancelNoiseCalibration() {
+  send({ type: 'cancel-calibration' });
+}
+
+/**
+ * Override smoothing for one viseme ({ minHoldMs, minConfidence }) in the
+ * live analyzer and in offline export
+ */
+export function setVisemeSettings(category, settings) {
+  setLocalVisemeSettings(category, settings);
+  send({ type: 'viseme-settings', category, settings });
+}
+
+/**
+ * Smoothing of one viseme: { minHoldMs, minConfidence }
+ */
+export function getVisemeSettings(category) {
+  return getLocalVisemeSettings(category);
+}
+
+/**
+ * Gate state as last reported by the worker
+ */
+export function getVadState() {
+  return vadState;
+}
+
+/**
+ * Phoneme history, engine and viseme state machine (current viseme, held
+ * time, pending transition) of the live analyzer, as of its last result;
+ * shaped like lipsync.getDiagnosticInfo()
+ */
+export function getAnalysisDiagnosticInfo() {
+  return diagnostics;
+}
+
+/**
+ * Worker counters for diagnostics
+ */
+export function getAnalysisStats() {
+  return {
+    inWorker: worker !== null,
+    ...stats,
+  };
+}
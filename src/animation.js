@@ -4,29 +4,144 @@
  * Sprite control and animation logic
  * 
  * Responsibilities:
- * - Manage layered sprite rendering (body, eyes, mouth)
+ * - Manage layered sprite rendering (body, eyes, brows, mouth, plus one
+ *   sprite in each user layer from layers.js)
+ * - Swap in expression sprite sets (happy, angry, ...), falling back to
+ *   neutral per sprite, with an optional timed revert to neutral
  * - Switch mouth sprites based on phoneme categories
- * - Implement automatic eye blinking at natural intervals
+ * - Implement automatic eye blinking at natural intervals:
+ *   * multi-frame blinks (open → half → closed → half → open)
+ *   * occasional double blinks and a configurable rhythm
+ *   * suppressed while an expression forces an eye state
  * - Handle sprite placeholder generation when assets are missing
+ * - Lay out sprites (position, anchor, scale), the layer stack and the
+ *   viseme → mouth sprite mapping from a character manifest
  * - Provide manual sprite control for testing
  * - Manage sprite positioning and layering
- * - Apply smooth transitions between sprite states
+ * - Play frame sequences (from atlases) in any slot as an AnimatedSprite,
+ *   with its own frame rate and loop mode, on the animation clock
+ * - Apply smooth transitions between sprite states:
+ *   * alpha crossfade between mouth shapes
+ *   * optional squash/stretch on the incoming mouth
+ *   * optional in-between sprites (e.g. mouth_a_to_m) when loaded
  */
 
-import { Sprite, Container, Graphics, Text, Texture } from 'pixi.js';
+import { Sprite, AnimatedSprite, Container, Graphics, Text, Texture } from 'pixi.js';
+import { addLayer, removeLayer, getLayerContainer, applyLayerStack, getLayerStack } from './layers.js';
+
+export const MOUTH_TYPES = ['idle', 'a', 'e', 'o', 'u', 'closed', 'm', 'f'];
+
+/**
+ * Default sprite positions by slot kind (canvas pixels); a character
+ * manifest can lay out each sprite individually
+ */
+const DEFAULT_POSITIONS = {
+  mouth: { x: 640, y: 480 },
+  eye: { x: 630, y: 300 },
+  brow: { x: 630, y: 240 },
+  body: { x: 640, y: 400 },
+  layer: { x: 640, y: 360 }, // User layers (hair, hats, props)
+};
+
+/**
+ * Mouth transition settings
+ * - crossfadeMs: fade time between shapes (0 snaps instantly)
+ * - squash: peak squash/stretch of the incoming mouth (0 disables)
+ * - useInBetweens: route through "from_to_to" sprites when loaded
+ */
+const DEFAULT_MOUTH_TRANSITION = {
+  crossfadeMs: 80,
+  squash: 0.08,
+  useInBetweens: true,
+};
+
+export const EYE_STATES = ['open', 'half', 'closed', 'happy', 'wide', 'sad'];
+
+/**
+ * Layer each slot kind is drawn in; a user layer's sprite is drawn in the
+ * layer of the same name
+ */
+const LAYER_BY_KIND = {
+  mouth: 'mouth',
+  eye: 'eyes',
+  brow: 'brows',
+  body: 'body',
+};
+
+const ONION_SKIN_ALPHA = 0.25; // Other mouth shapes while laying out a mouth
+
+/**
+ * Frame sequences: frames per second and what happens at the last frame
+ * - loop: start over
+ * - once: hold the last frame (until the slot is shown again)
+ * - pingpong: play back to the first frame, then forward again
+ */
+export const DEFAULT_FRAME_FPS = 12;
+export const LOOP_MODES = ['loop', 'once', 'pingpong'];
+
+/**
+ * Expressions; each may override any subset of the neutral sprites.
+ * Expression assets are typed with a prefix: 'happy_mouth_a', 'sad_brow'
+ */
+export const EXPRESSIONS = ['neutral', 'happy', 'angry', 'sad', 'surprised'];
+
+/**
+ * Eye state each expression holds (blinking paused) while it's active;
+ * expressions not listed keep blinking. Character manifests can change these
+ * with "expressionEyes"
+ */
+export const EXPRESSION_EYE_STATES = { happy: 'happy', sad: 'sad', surprised: 'wide' };
+
+/**
+ * Blink rhythm (seconds)
+ * - meanInterval / intervalVariance: time between blinks is uniform in
+ *   mean ± variance
+ * - doubleBlinkChance: probability a blink is followed by a quick second one
+ */
+const DEFAULT_BLINK_SETTINGS = {
+  meanInterval: 3.5,
+  intervalVariance: 1.5,
+  blinkDuration: 0.15,
+  doubleBlinkChance: 0.15,
+  doubleBlinkGap: 0.12,
+};
+
+const MIN_BLINK_INTERVAL = 0.3;
+const BLINK_HALF_PORTION = 0.25; // Share of the blink spent half-lidded on each side
 
 /**
  * Animation state
  */
 let animationState = {
-  mouthSprites: new Map(),
+  layers: null,
+  mouthSprites: new Map(),       // Mouth type → slot; types beyond MOUTH_TYPES come from a manifest
+  visemeMap: new Map(),          // Viseme category → mouth type, when not the same name
+  mouthInBetweens: new Map(), // 'a_to_m' → sprite data, created when loaded
+  mouthLayer: null,
+  mouthTransition: { ...DEFAULT_MOUTH_TRANSITION },
+  mouthFade: {
+    shown: 'idle',    // Sprite key fading in (a mouth type or an in-between)
+    viaUntil: 0,      // When the in-between hands over to the target (ms)
+    stepMs: 0,        // Fade time of the current step
+    startedAt: 0,     // Transition start, for the squash tween (ms)
+    lastUpdate: null,
+  },
   eyeSprites: new Map(),
   bodySprite: null,
+  browSprite: null,            // Empty until a brow sprite is loaded
+  layerSprites: new Map(),     // User layer name → slot; the layer name is the sprite key
+  currentExpression: 'neutral',
+  expressionTextures: new Map(), // 'happy' → Map('mouth_a' → art, as on a slot)
+  expressionRevertIn: 0,       // Seconds until auto-revert to neutral (0 = stays)
+  expressionEyeStates: { ...EXPRESSION_EYE_STATES },
   currentMouthType: 'idle',
-  currentEyeState: 'open',
+  currentEyeState: 'open',   // Resting state blinks return to
+  forcedEyeState: null,      // Held by an expression; suppresses blinks
+  displayedEyeState: 'open',
+  blinkSettings: { ...DEFAULT_BLINK_SETTINGS },
   blinkTimer: 0,
-  blinkDuration: 0.15, // seconds
   isBlinking: false,
+  isDoubleBlink: false,
   nextBlinkTime: Math.random() * 3 + 2, // 2-5 seconds
   timeSinceLastBlink: 0,
 };
@@ -36,33 +151,18 @@ let animationState = {
  */
 export async function initAnimation(layers) {
   // Create placeholder sprites for each mouth type
-  const mouthTypes = ['idle', 'a', 'e', 'o', 'u', 'closed', 'm', 'f'];
-  
-  for (const type of mouthTypes) {
-    const placeholder = createPlaceholderSprite(`mouth_${type}`, 200, 150);
-    placeholder.position.set(640, 480);
-    
-    animationState.mouthSprites.set(type, {
-      sprite: placeholder,
-      loaded: false,
-      assetUrl: null,
-    });
+  animationState.layers = layers;
+  animationState.mouthLayer = layers.mouth;
 
-    layers.mouth.addChild(placeholder);
+  for (const type of MOUTH_TYPES) {
+    createMouthSlot(type);
   }
+  animationState.mouthSprites.get('idle').sprite.visible = true;
 
   // Create placeholder eye sprites
-  const eyeStates = ['open', 'closed'];
-  
-  for (const state of eyeStates) {
+  for (const state of EYE_STATES) {
     const placeholder = createPlaceholderSprite(`eye_${state}`, 100, 60);
-    placeholder.position.set(630, 300);
-    
-    animationState.eyeSprites.set(state, {
-      sprite: placeholder,
-      loaded: false,
-      assetUrl: null,
-    });
+    animationState.eyeSprites.set(state, createSpriteSlot(placeholder, DEFAULT_POSITIONS.eye));
 
     // Only show open eye initially
     if (state !== 'open') {
@@ -73,17 +173,76 @@ export async function initAnimation(layers) {
 
   // Create body placeholder
   const bodyPlaceholder = createPlaceholderSprite('body', 400, 600);
-  bodyPlaceholder.position.set(640, 400);
-  
-  animationState.bodySprite = {
-    sprite: bodyPlaceholder,
+  animationState.bodySprite = createSpriteSlot(bodyPlaceholder, DEFAULT_POSITIONS.body);
+  layers.body.addChild(bodyPlaceholder);
+
+  // Brows have no placeholder art: most characters draw them into the eyes
+  const browPlaceholder = new Sprite();
+  animationState.browSprite = createSpriteSlot(browPlaceholder, DEFAULT_POSITIONS.brow);
+  layers.brows.addChild(browPlaceholder);
+
+  return { success: true };
+}
+
+/**
+ * Hidden placeholder slot for a mouth type
+ */
+function createMouthSlot(type) {
+  const placeholder = createPlaceholderSprite(`mouth_${type}`, 200, 150);
+  placeholder.visible = false;
+
+  const slot = createSpriteSlot(placeholder, DEFAULT_POSITIONS.mouth);
+  animationState.mouthSprites.set(type, slot);
+  animationState.mouthLayer.addChild(placeholder);
+  return slot;
+}
+
+/**
+ * One sprite slot: shows the neutral art, the active expression's
+ * override, or the placeholder when neither is loaded
+ * Art is a texture, or a frame sequence whose first frame is the texture
+ */
+function createSpriteSlot(placeholder, position) {
+  const slot = {
+    sprite: placeholder,
+    placeholder,
+    texture: null, // Neutral texture
+    animation: null, // Neutral frame sequence: { textures, fps, loop }
     loaded: false,
     assetUrl: null,
+    atlasSource: null, // Atlas frames the art came from: { atlas, frames, animation }
+    sourceName: null, // File the neutral texture came from
+    wasShown: false, // Sequences restart each time the slot appears
+    layout: createLayout(position),
   };
+  applySlotLayout(slot);
+  return slot;
+}
 
-  layers.body.addChild(bodyPlaceholder);
+/**
+ * Layout with a centered anchor, no scaling and no rotation (degrees)
+ */
+function createLayout(position) {
+  return {
+    position: { ...position },
+    anchor: { x: 0.5, y: 0.5 },
+    scale: { x: 1, y: 1 },
+    rotation: 0,
+  };
+}
 
-  return { success: true };
+/**
+ * Position and scale the slot's sprite; anchors apply to loaded art only
+ * (placeholders are drawn centered)
+ */
+function applySlotLayout(slot) {
+  const { position, anchor, scale, rotation } = slot.layout;
+  slot.sprite.position.set(position.x, position.y);
+  slot.sprite.scale.set(scale.x, scale.y);
+  slot.sprite.angle = rotation;
+  if (slot.sprite !== slot.placeholder) {
+    slot.sprite.anchor.set(anchor.x, anchor.y);
+  }
 }
 
 /**
@@ -127,36 +286,15 @@ function createPlaceholderSprite(label, width, height) {
 }
 
 /**
- * Load and set sprite image from asset URL
+ * Load a texture from an asset URL
  */
-function loadSpriteImage(spriteData, assetUrl) {
+export function loadTexture(assetUrl) {
   return new Promise((resolve, reject) => {
     const img = new Image();
     
     img.onload = () => {
       try {
-        const texture = Texture.from(img);
-        const newSprite = new Sprite(texture);
-        newSprite.anchor.set(0.5, 0.5);
-        newSprite.position.set(spriteData.sprite.position.x, spriteData.sprite.position.y);
-        
-        // Replace sprite in parent container
-        const parent = spriteData.sprite.parent;
-        if (parent) {
-          const index = parent.children.indexOf(spriteData.sprite);
-          if (index !== -1) {
-            parent.removeChildAt(index);
-            parent.addChildAt(newSprite, index);
-          } else {
-            parent.addChild(newSprite);
-          }
-        }
-        
-        spriteData.sprite = newSprite;
-        spriteData.loaded = true;
-        spriteData.assetUrl = assetUrl;
-        
-        resolve();
+        resolve(Texture.from(img));
       } catch (error) {
         console.error('Error loading sprite image:', error);
         reject(error);
@@ -172,72 +310,356 @@ function loadSpriteImage(spriteData, assetUrl) {
 }
 
 /**
- * Update mouth sprite based on phoneme category
+ * Show art ({ texture, animation }) in a slot, or its placeholder for null
+ * Swapping display objects keeps position, scale and fade state
  */
-export function updateMouthSprite(mouthLayer, phonemeCategory) {
-  if (!phonemeCategory || animationState.currentMouthType === phonemeCategory) {
+function showArt(spriteData, art) {
+  const current = spriteData.sprite;
+  const texture = art?.texture || null;
+  const animation = art?.animation || null;
+
+  // Same kind of display object: swap the art in place
+  if (texture && current !== spriteData.placeholder && (current instanceof AnimatedSprite) === Boolean(animation)) {
+    if (animation) {
+      playFrames(current, animation);
+    } else {
+      current.texture = texture;
+    }
     return;
   }
 
-  const mouthData = animationState.mouthSprites.get(phonemeCategory);
-  if (!mouthData) {
-    console.warn(`Unknown mouth type: ${phonemeCategory}`);
-    return;
+  let next = spriteData.placeholder;
+  if (texture) {
+    const { x, y } = spriteData.layout.anchor;
+    next = animation ? new AnimatedSprite({ textures: animation.textures, autoUpdate: false }) : new Sprite(texture);
+    next.anchor.set(x, y);
+    if (animation) playFrames(next, animation);
+  }
+  if (next === current) return;
+
+  next.position.copyFrom(current.position);
+  next.scale.copyFrom(current.scale);
+  next.rotation = current.rotation;
+  next.visible = current.visible;
+  next.alpha = current.alpha;
+
+  // Replace sprite in parent container
+  const parent = current.parent;
+  if (parent) {
+    const index = parent.children.indexOf(current);
+    if (index !== -1) {
+      parent.removeChildAt(index);
+      parent.addChildAt(next, index);
+    } else {
+      parent.addChild(next);
+    }
+  }
+
+  spriteData.sprite = next;
+}
+
+/**
+ * Start a frame sequence from its first frame
+ * The clock drives it (see updateSpriteAnimations()), not Pixi's ticker
+ */
+function playFrames(sprite, { textures, fps, loop }) {
+  sprite.textures = loop === 'pingpong' && textures.length > 2
+    ? [...textures, ...textures.slice(1, -1).reverse()]
+    : textures;
+  sprite.animationSpeed = fps / 60; // AnimatedSprite counts 60 Hz ticks
+  sprite.loop = loop !== 'once';
+  sprite.gotoAndPlay(0);
+}
+
+/**
+ * Art a slot shows under the active expression: the override, or the
+ * slot's own ({ texture, animation })
+ */
+function resolveArt(key, spriteData) {
+  const overrides = animationState.expressionTextures.get(animationState.currentExpression);
+  const override = overrides?.get(key);
+  return override?.texture ? override : spriteData;
+}
+
+/**
+ * Slot for an unprefixed asset key ('mouth_a', 'mouth_a_to_m', 'eye_open',
+ * 'brow', 'body', or a user layer's name), or null
+ */
+function getSpriteSlot(key) {
+  if (key.startsWith('mouth_')) {
+    const mouthType = key.replace('mouth_', '');
+    return mouthType.includes('_to_')
+      ? getInBetweenSpriteData(mouthType)
+      : animationState.mouthSprites.get(mouthType) || null;
+  }
+  if (key.startsWith('eye_')) {
+    return animationState.eyeSprites.get(key.replace('eye_', '')) || null;
+  }
+  if (key === 'brow') return animationState.browSprite;
+  if (key === 'body') return animationState.bodySprite;
+  return animationState.layerSprites.get(key) || null;
+}
+
+function forEachSpriteSlot(callback) {
+  for (const [type, data] of animationState.mouthSprites) callback(`mouth_${type}`, data);
+  for (const [key, data] of animationState.mouthInBetweens) callback(`mouth_${key}`, data);
+  for (const [state, data] of animationState.eyeSprites) callback(`eye_${state}`, data);
+  callback('brow', animationState.browSprite);
+  callback('body', animationState.bodySprite);
+  for (const [name, data] of animationState.layerSprites) callback(name, data);
+}
+
+/**
+ * Split 'happy_mouth_a' into { expression: 'happy', key: 'mouth_a' }
+ * Unprefixed types belong to neutral
+ */
+function parseAssetType(assetType) {
+  const expression = EXPRESSIONS.find(name => name !== 'neutral' && assetType.startsWith(`${name}_`));
+  return expression
+    ? { expression, key: assetType.slice(expression.length + 1) }
+    : { expression: 'neutral', key: assetType };
+}
+
+/**
+ * Update mouth sprite based on phoneme category
+ * Call every tick with the animation clock time (ms): it also advances the
+ * running transition
+ */
+export function updateMouthSprite(mouthLayer, phonemeCategory, now) {
+  const fade = animationState.mouthFade;
+  const deltaMs = fade.lastUpdate === null ? 0 : now - fade.lastUpdate;
+  fade.lastUpdate = now;
+
+  const mouthType = phonemeCategory && resolveMouthType(phonemeCategory);
+
+  if (mouthType && animationState.currentMouthType !== mouthType) {
+    if (animationState.mouthSprites.has(mouthType)) {
+      startMouthTransition(mouthType, now);
+    } else {
+      console.warn(`Unknown mouth type: ${mouthType}`);
+    }
   }
 
-  // Hide all mouth sprites except current
-  for (const [type, data] of animationState.mouthSprites) {
-    data.sprite.visible = type === phonemeCategory;
+  // In-between has had its half: hand over to the target shape
+  if (fade.viaUntil && now >= fade.viaUntil) {
+    fade.shown = animationState.currentMouthType;
+    fade.viaUntil = 0;
   }
 
-  animationState.currentMouthType = phonemeCategory;
+  stepMouthFade(deltaMs, now);
+}
+
+/**
+ * Begin fading from the current mouth to a new one
+ * A new shape arriving mid-transition snaps everything but the shape that
+ * was fading in, so the mouth is never more than one viseme behind
+ */
+function startMouthTransition(to, now) {
+  const fade = animationState.mouthFade;
+  const { crossfadeMs, useInBetweens } = animationState.mouthTransition;
+  const from = animationState.currentMouthType;
+
+  forEachMouthSprite((key, sprite, data) => {
+    if (key !== fade.shown) {
+      sprite.alpha = 0;
+      sprite.visible = false;
+    }
+    sprite.scale.set(data.layout.scale.x, data.layout.scale.y);
+  });
+
+  const viaKey = `${from}_to_${to}`;
+  const viaData = useInBetweens && crossfadeMs > 0 ? animationState.mouthInBetweens.get(viaKey) : null;
+  const via = hasArt(viaData) ? viaData : null; // The active expression may not draw this one
+
+  // With an in-between, each half gets half the time: total stays crossfadeMs
+  fade.shown = via ? viaKey : to;
+  fade.viaUntil = via ? now + crossfadeMs / 2 : 0;
+  fade.stepMs = via ? crossfadeMs / 2 : crossfadeMs;
+  fade.startedAt = now;
+
+  animationState.currentMouthType = to;
+}
+
+/**
+ * Move every mouth sprite's alpha toward its target and apply the squash
+ */
+function stepMouthFade(deltaMs, now) {
+  const fade = animationState.mouthFade;
+  const { crossfadeMs, squash } = animationState.mouthTransition;
+  const step = fade.stepMs > 0 ? deltaMs / fade.stepMs : 1;
+
+  forEachMouthSprite((key, sprite) => {
+    const target = key === fade.shown ? 1 : 0;
+    sprite.alpha = target > sprite.alpha
+      ? Math.min(target, sprite.alpha + step)
+      : Math.max(target, sprite.alpha - step);
+    sprite.visible = sprite.alpha > 0;
+  });
+
+  // Squash on arrival, easing back to rest over the crossfade
+  const incoming = getMouthSpriteData(fade.shown);
+  if (incoming) {
+    const progress = crossfadeMs > 0 ? Math.min(1, (now - fade.startedAt) / crossfadeMs) : 1;
+    const amount = squash * (1 - progress) * (1 - progress);
+    const { scale } = incoming.layout;
+    incoming.sprite.scale.set(scale.x * (1 + amount), scale.y * (1 - amount));
+  }
+}
+
+function forEachMouthSprite(callback) {
+  for (const [key, data] of animationState.mouthSprites) callback(key, data.sprite, data);
+  for (const [key, data] of animationState.mouthInBetweens) callback(key, data.sprite, data);
+}
+
+/**
+ * Mouth type that shows a viseme category
+ */
+function resolveMouthType(category) {
+  return animationState.visemeMap.get(category) || category;
+}
+
+function getMouthSpriteData(key) {
+  return animationState.mouthSprites.get(key) || animationState.mouthInBetweens.get(key);
+}
+
+/**
+ * Update mouth transition settings (any subset of DEFAULT_MOUTH_TRANSITION)
+ */
+export function setMouthTransition(settings) {
+  animationState.mouthTransition = { ...animationState.mouthTransition, ...settings };
+}
+
+export function getMouthTransition() {
+  return { ...animationState.mouthTransition };
+}
+
+/**
+ * Sprite data for an in-between such as 'a_to_m', created on first load
+ * Returns null when either end isn't a known mouth type
+ */
+function getInBetweenSpriteData(key) {
+  const [from, to] = key.split('_to_');
+  const { mouthSprites } = animationState;
+  if (!mouthSprites.has(from) || !mouthSprites.has(to) || from === to) {
+    return null;
+  }
+
+  if (!animationState.mouthInBetweens.has(key)) {
+    const placeholder = new Sprite();
+    placeholder.visible = false;
+    placeholder.alpha = 0;
+    animationState.mouthLayer.addChild(placeholder);
+
+    // In-betweens sit where the shape they lead into sits
+    const slot = createSpriteSlot(placeholder, mouthSprites.get(to).layout.position);
+    slot.layout = structuredClone(mouthSprites.get(to).layout);
+    applySlotLayout(slot);
+    animationState.mouthInBetweens.set(key, slot);
+  }
+
+  return animationState.mouthInBetweens.get(key);
 }
 
 /**
  * Update eye sprite with automatic blinking
+ * deltaSeconds comes from the animation clock
  */
-export function updateEyeSprite(eyeLayer) {
+export function updateEyeSprite(eyeLayer, deltaSeconds) {
+  // An expression holding the eyes suppresses blinking entirely
+  if (animationState.forcedEyeState) {
+    showEyeState(animationState.forcedEyeState);
+    return;
+  }
+
   // Update blink timer
-  animationState.timeSinceLastBlink += 1 / 60; // Assuming 60 FPS
+  animationState.timeSinceLastBlink += deltaSeconds;
 
   if (animationState.isBlinking) {
-    animationState.blinkTimer += 1 / 60;
+    animationState.blinkTimer += deltaSeconds;
 
-    if (animationState.blinkTimer > animationState.blinkDuration) {
+    if (animationState.blinkTimer > animationState.blinkSettings.blinkDuration) {
       // Blink finished
       animationState.isBlinking = false;
       animationState.blinkTimer = 0;
-      animationState.nextBlinkTime = Math.random() * 3 + 2; // 2-5 seconds
       animationState.timeSinceLastBlink = 0;
-
-      // Show open eye
-      const openEye = animationState.eyeSprites.get('open');
-      const closedEye = animationState.eyeSprites.get('closed');
-      if (openEye && closedEye) {
-        openEye.sprite.visible = true;
-        closedEye.sprite.visible = false;
-      }
+      animationState.nextBlinkTime = scheduleNextBlink();
+      showEyeState(animationState.currentEyeState);
     } else {
-      // Blink is ongoing - show closed eye
-      const openEye = animationState.eyeSprites.get('open');
-      const closedEye = animationState.eyeSprites.get('closed');
-      if (openEye && closedEye) {
-        openEye.sprite.visible = false;
-        closedEye.sprite.visible = true;
-      }
+      showEyeState(getBlinkFrame(animationState.blinkTimer / animationState.blinkSettings.blinkDuration));
     }
-  } else if (animationState.timeSinceLastBlink >= animationState.nextBlinkTime) {
-    // Trigger a natural blink
-    animationState.isBlinking = true;
-    animationState.blinkTimer = 0;
+  } else {
+    if (animationState.timeSinceLastBlink >= animationState.nextBlinkTime) {
+      // Trigger a natural blink
+      animationState.isBlinking = true;
+      animationState.blinkTimer = 0;
+    }
+    showEyeState(animationState.currentEyeState);
+  }
+}
+
+/**
+ * Seconds until the next blink; sometimes a quick second blink follows
+ */
+function scheduleNextBlink() {
+  const { doubleBlinkChance, doubleBlinkGap } = animationState.blinkSettings;
+
+  if (!animationState.isDoubleBlink && Math.random() < doubleBlinkChance) {
+    animationState.isDoubleBlink = true;
+    return doubleBlinkGap;
+  }
+
+  animationState.isDoubleBlink = false;
+  return randomBlinkInterval();
+}
+
+/**
+ * Uniform interval in mean ± variance
+ */
+function randomBlinkInterval() {
+  const { meanInterval, intervalVariance } = animationState.blinkSettings;
+  const offset = (Math.random() * 2 - 1) * intervalVariance;
+  return Math.max(MIN_BLINK_INTERVAL, meanInterval + offset);
+}
+
+/**
+ * Eye state at a point in a blink (0-1): open → half → closed → half → open
+ * Skips the half-lid frames when only a placeholder exists for them
+ */
+function getBlinkFrame(progress) {
+  const half = animationState.eyeSprites.get('half');
+  const closed = animationState.eyeSprites.get('closed');
+  const useHalf = half && (hasArt(half) || !hasArt(closed));
+
+  if (useHalf && (progress < BLINK_HALF_PORTION || progress > 1 - BLINK_HALF_PORTION)) {
+    return 'half';
+  }
+  return 'closed';
+}
+
+/**
+ * Whether a slot currently shows loaded art (of any expression)
+ */
+function hasArt(spriteData) {
+  return Boolean(spriteData) && spriteData.sprite !== spriteData.placeholder;
+}
+
+/**
+ * Show exactly one eye sprite
+ */
+function showEyeState(state) {
+  if (animationState.displayedEyeState === state) return;
+
+  for (const [eyeState, data] of animationState.eyeSprites) {
+    data.sprite.visible = eyeState === state;
   }
+  animationState.displayedEyeState = state;
 }
 
 /**
- * Manually set eye state (for testing)
+ * Set the resting eye state (blinks return to it)
  */
 export function setEyeState(eyeLayer, state) {
-  if (state !== 'open' && state !== 'closed') {
+  if (!EYE_STATES.includes(state)) {
     console.warn(`Unknown eye state: ${state}`);
     return;
   }
@@ -245,61 +667,568 @@ export function setEyeState(eyeLayer, state) {
   animationState.isBlinking = false;
   animationState.blinkTimer = 0;
   animationState.currentEyeState = state;
+  showEyeState(state);
+}
 
-  const openEye = animationState.eyeSprites.get('open');
-  const closedEye = animationState.eyeSprites.get('closed');
-
-  if (openEye && closedEye) {
-    openEye.sprite.visible = state === 'open';
-    closedEye.sprite.visible = state === 'closed';
+/**
+ * Hold the eyes in a state and suppress blinking (e.g. for an expression)
+ * Pass null to release and return to the resting state
+ */
+export function forceEyeState(state) {
+  if (state !== null && !EYE_STATES.includes(state)) {
+    console.warn(`Unknown eye state: ${state}`);
+    return;
   }
+
+  animationState.forcedEyeState = state;
+  animationState.isBlinking = false;
+  animationState.blinkTimer = 0;
+  animationState.timeSinceLastBlink = 0;
+  showEyeState(state || animationState.currentEyeState);
 }
 
 /**
  * Manually trigger a blink (for testing)
  */
 export function triggerBlink(eyeLayer) {
+  if (animationState.forcedEyeState) return;
+
   animationState.isBlinking = true;
   animationState.blinkTimer = 0;
   animationState.timeSinceLastBlink = 0;
 }
 
+/**
+ * Update blink rhythm (any subset of DEFAULT_BLINK_SETTINGS)
+ */
+export function setBlinkSettings(settings) {
+  animationState.blinkSettings = { ...animationState.blinkSettings, ...settings };
+
+  // Apply the new rhythm from now instead of after the pending interval
+  animationState.timeSinceLastBlink = 0;
+  animationState.nextBlinkTime = randomBlinkInterval();
+}
+
+export function getBlinkSettings() {
+  return { ...animationState.blinkSettings };
+}
+
+/**
+ * Switch the active expression
+ * revertAfter (seconds) returns to neutral automatically; 0 stays
+ */
+export function setExpression(expression, { revertAfter = 0 } = {}) {
+  if (!EXPRESSIONS.includes(expression)) {
+    console.warn(`Unknown expression: ${expression}`);
+    return;
+  }
+
+  animationState.currentExpression = expression;
+  animationState.expressionRevertIn = expression === 'neutral' ? 0 : Math.max(0, revertAfter);
+
+  // Fade and blink state live on the slots, so lip sync and blinking carry on
+  forEachSpriteSlot((key, spriteData) => showArt(spriteData, resolveArt(key, spriteData)));
+
+  // Neutral (and a timed revert) releases the eyes
+  holdExpressionEyes();
+}
+
+/**
+ * Hold the active expression's eye state, or release the eyes when it has
+ * none; re-checked when eye art loads
+ */
+function holdExpressionEyes() {
+  const state = getExpressionEyeState(animationState.currentExpression);
+  if (state !== animationState.forcedEyeState) forceEyeState(state);
+}
+
+/**
+ * Eye state an expression holds, or null when it has none or no art for it
+ * (holding a placeholder would look broken)
+ */
+function getExpressionEyeState(expression) {
+  const state = animationState.expressionEyeStates[expression] || null;
+  if (!state) return null;
+
+  const key = `eye_${state}`;
+  const hasArt = getSpriteSlot(key).loaded
+    || Boolean(animationState.expressionTextures.get(expression)?.get(key)?.texture);
+  return hasArt ? state : null;
+}
+
+/**
+ * Count down a timed expression; call every tick with the clock delta
+ * Returns the active expression
+ */
+export function updateExpression(deltaSeconds) {
+  if (animationState.expressionRevertIn > 0) {
+    animationState.expressionRevertIn -= deltaSeconds;
+    if (animationState.expressionRevertIn <= 0) {
+      setExpression('neutral');
+    }
+  }
+  return animationState.currentExpression;
+}
+
+export function getExpressionState() {
+  return {
+    expression: animationState.currentExpression,
+    revertIn: animationState.expressionRevertIn,
+  };
+}
+
 /**
  * Load asset image into sprite system
+ * assetType is a sprite key ('mouth_a', 'eye_open', 'brow', 'body'),
+ * optionally prefixed with an expression ('happy_mouth_a')
+ * sourceName is the file shown in the sprite list (defaults to the URL's)
  */
-export async function loadAssetSprite(assetType, assetUrl) {
+export async function loadAssetSprite(assetType, assetUrl, sourceName = getUrlFileName(assetUrl)) {
   try {
     // Determine which sprite to load
-    let spriteData = null;
-
-    if (assetType.startsWith('mouth_')) {
-      const mouthType = assetType.replace('mouth_', '');
-      spriteData = animationState.mouthSprites.get(mouthType);
-    } else if (assetType.startsWith('eye_')) {
-      const eyeState = assetType.replace('eye_', '');
-      spriteData = animationState.eyeSprites.get(eyeState);
-    } else if (assetType === 'body') {
-      spriteData = animationState.bodySprite;
-    }
-
-    if (!spriteData) {
+    if (!getSpriteSlot(parseAssetType(assetType).key)) {
       console.warn(`Unknown asset type: ${assetType}`);
       return;
     }
 
-    await loadSpriteImage(spriteData, assetUrl);
+    const texture = await loadTexture(assetUrl);
+    setSlotArt(assetType, { texture, animation: null, assetUrl, atlasSource: null, sourceName });
     console.log(`✅ Loaded asset: ${assetType}`);
   } catch (error) {
     console.error(`Failed to load asset ${assetType}:`, error);
   }
 }
 
+/**
+ * Show frames (e.g. from an atlas) in a sprite slot: one frame is a still,
+ * several play as a sequence at fps with a loop mode (see LOOP_MODES)
+ * atlasSource ({ atlas, frames, animation }) is kept for export
+ * Returns false for an unknown asset type
+ */
+export function setSpriteFrames(assetType, textures, { fps = DEFAULT_FRAME_FPS, loop = 'loop', sourceName = null, atlasSource = null } = {}) {
+  if (!getSpriteSlot(parseAssetType(assetType).key)) {
+    console.warn(`Unknown asset type: ${assetType}`);
+    return false;
+  }
+
+  const animation = textures.length > 1 ? { textures, fps: Math.max(0.1, fps), loop: LOOP_MODES.includes(loop) ? loop : 'loop' } : null;
+  setSlotArt(assetType, { texture: textures[0], animation, assetUrl: null, atlasSource, sourceName });
+  return true;
+}
+
+/**
+ * Change a sequence's frame rate or loop mode ({ fps, loop })
+ */
+export function setSpriteAnimation(assetType, { fps, loop }) {
+  const art = getAssetArt(assetType);
+  if (!art?.animation) {
+    console.warn(`Not an animated sprite: ${assetType}`);
+    return;
+  }
+
+  if (fps > 0) art.animation.fps = fps;
+  if (LOOP_MODES.includes(loop)) art.animation.loop = loop;
+
+  const { key } = parseAssetType(assetType);
+  const spriteData = getSpriteSlot(key);
+  showArt(spriteData, resolveArt(key, spriteData));
+}
+
+/**
+ * The neutral slot or expression override an asset type names, or null
+ */
+function getAssetArt(assetType) {
+  const { expression, key } = parseAssetType(assetType);
+  if (expression === 'neutral') return getSpriteSlot(key);
+  return animationState.expressionTextures.get(expression)?.get(key) || null;
+}
+
+function setSlotArt(assetType, art) {
+  const { expression, key } = parseAssetType(assetType);
+  const spriteData = getSpriteSlot(key);
+
+  if (expression === 'neutral') {
+    Object.assign(spriteData, art, { loaded: true });
+  } else {
+    if (!animationState.expressionTextures.has(expression)) {
+      animationState.expressionTextures.set(expression, new Map());
+    }
+    animationState.expressionTextures.get(expression).set(key, art);
+  }
+
+  showArt(spriteData, resolveArt(key, spriteData));
+  if (key.startsWith('eye_')) holdExpressionEyes();
+}
+
+/**
+ * Advance every shown frame sequence; call every tick with the clock delta
+ * A sequence starts over each time its slot appears, so a one-shot blink
+ * plays on every blink
+ */
+export function updateSpriteAnimations(deltaSeconds) {
+  const ticker = { deltaTime: deltaSeconds * 60 };
+
+  forEachSpriteSlot((key, slot) => {
+    const { sprite } = slot;
+    if (!(sprite instanceof AnimatedSprite)) return;
+
+    const isShown = sprite.visible && sprite.alpha > 0;
+    if (isShown && !slot.wasShown) sprite.gotoAndPlay(0);
+    slot.wasShown = isShown;
+
+    if (isShown) sprite.update(ticker);
+  });
+}
+
+/**
+ * Last path segment of a URL; object URLs have no file name
+ */
+function getUrlFileName(url) {
+  if (url.startsWith('blob:')) return null;
+  return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop()) || null;
+}
+
+/**
+ * Reset the rig and lay it out from a character manifest (see character.js)
+ * - layers: the back-to-front layer stack with each layer's properties
+ *   (see applyLayerStack() in layers.js); unknown names add user layers
+ * - sprites: sprite key → { position, anchor, scale, rotation }; unknown
+ *   'mouth_*' keys add mouth shapes
+ * - visemes: viseme category → mouth sprite key
+ * - expressionEyes: expression → eye state it holds, or null to keep
+ *   blinking (defaults: EXPRESSION_EYE_STATES)
+ * Images are loaded afterwards with loadAssetSprite()
+ */
+export function configureCharacter({ layers = [], sprites = {}, visemes = {}, expressionEyes = {} }) {
+  resetCharacter();
+
+  for (const [expression, state] of Object.entries(expressionEyes)) {
+    if (!EXPRESSIONS.includes(expression) || expression === 'neutral' || (state !== null && !EYE_STATES.includes(state))) {
+      console.warn(`Ignoring expression eye state ${expression} → ${state}`);
+      continue;
+    }
+    animationState.expressionEyeStates[expression] = state;
+  }
+
+  for (const { name } of layers) {
+    if (animationState.layers[name]) continue;
+    const result = addCharacterLayer(name);
+    if (!result.success) console.warn(`Skipping layer: ${result.error}`);
+  }
+  applyLayerStack(layers);
+
+  for (const [key, entry] of Object.entries(sprites)) {
+    const slot = getSpriteSlot(key) || createCustomMouthSlot(key);
+    if (!slot) {
+      console.warn(`Unknown sprite in character: ${key}`);
+      continue;
+    }
+
+    slot.layout = {
+      position: { ...slot.layout.position, ...entry.position },
+      anchor: { ...slot.layout.anchor, ...entry.anchor },
+      scale: { ...slot.layout.scale, ...entry.scale },
+      rotation: entry.rotation ?? slot.layout.rotation,
+    };
+    applySlotLayout(slot);
+  }
+
+  for (const [category, key] of Object.entries(visemes)) {
+    const mouthType = key.replace('mouth_', '');
+    if (!MOUTH_TYPES.includes(category) || !animationState.mouthSprites.has(mouthType)) {
+      console.warn(`Ignoring viseme mapping ${category} → ${key}`);
+      continue;
+    }
+    if (mouthType !== category) animationState.visemeMap.set(category, mouthType);
+  }
+
+  snapMouth(resolveMouthType('idle'));
+}
+
+/**
+ * Drop every loaded sprite, expression, custom mouth shape, user layer and
+ * layout, back to placeholders at default positions
+ */
+export function resetCharacter() {
+  for (const name of Array.from(animationState.layerSprites.keys())) {
+    removeCharacterLayer(name);
+  }
+
+  for (const slot of animationState.mouthInBetweens.values()) {
+    slot.sprite.removeFromParent();
+  }
+  animationState.mouthInBetweens.clear();
+
+  for (const [type, slot] of animationState.mouthSprites) {
+    if (!MOUTH_TYPES.includes(type)) {
+      slot.sprite.removeFromParent();
+      animationState.mouthSprites.delete(type);
+    }
+  }
+
+  animationState.expressionTextures.clear();
+  animationState.expressionEyeStates = { ...EXPRESSION_EYE_STATES };
+  animationState.visemeMap.clear();
+
+  forEachSpriteSlot((key, slot) => {
+    slot.texture = null;
+    slot.animation = null;
+    slot.loaded = false;
+    slot.assetUrl = null;
+    slot.atlasSource = null;
+    slot.sourceName = null;
+    slot.layout = createLayout(DEFAULT_POSITIONS[getSlotKind(key)]);
+    showArt(slot, null);
+    applySlotLayout(slot);
+  });
+
+  applyLayerStack([]);
+  snapMouth('idle');
+  holdExpressionEyes();
+}
+
+/**
+ * Mouth slot for a manifest key like 'mouth_smile', or null
+ */
+function createCustomMouthSlot(key) {
+  const match = key.match(/^mouth_([a-z0-9]+)$/);
+  return match ? createMouthSlot(match[1]) : null;
+}
+
+function getSlotKind(key) {
+  if (key.startsWith('mouth_')) return 'mouth';
+  if (key.startsWith('eye_')) return 'eye';
+  if (animationState.layerSprites.has(key)) return 'layer';
+  return key; // 'brow' or 'body'
+}
+
+/**
+ * Add a user layer (see layers.js) with an empty sprite slot named after it
+ * Names that read as another sprite ('mouth_x', 'eye_x', 'happy_x') are
+ * refused so asset types stay unambiguous
+ * Returns { success, name, error }
+ */
+export function addCharacterLayer(name, properties = {}) {
+  const reserved = ['mouth', 'eye', 'eyes', 'brow', 'body', ...EXPRESSIONS];
+  if (reserved.some(prefix => name === prefix || name.startsWith(`${prefix}_`))) {
+    return { success: false, error: `"${name}" is reserved for built-in sprites` };
+  }
+
+  const result = addLayer(name, properties);
+  if (!result.success) return result;
+
+  const sprite = new Sprite(); // No placeholder art, like the brows
+  animationState.layerSprites.set(name, createSpriteSlot(sprite, DEFAULT_POSITIONS.layer));
+  getLayerContainer(name).addChild(sprite);
+  return result;
+}
+
+/**
+ * Remove a user layer with its sprite and expression overrides
+ * Returns { success, error }
+ */
+export function removeCharacterLayer(name) {
+  const result = removeLayer(name);
+  if (!result.success) return result;
+
+  animationState.layerSprites.delete(name);
+  for (const textures of animationState.expressionTextures.values()) {
+    textures.delete(name);
+  }
+  return result;
+}
+
+/**
+ * Show one mouth type immediately, without a transition
+ */
+function snapMouth(type) {
+  const fade = animationState.mouthFade;
+  fade.shown = type;
+  fade.viaUntil = 0;
+  fade.stepMs = 0;
+  animationState.currentMouthType = type;
+
+  forEachMouthSprite((key, sprite) => {
+    sprite.alpha = key === type ? 1 : 0;
+    sprite.visible = key === type;
+  });
+}
+
+/**
+ * Current layout and loaded art, shaped for a character manifest
+ * Sprites are listed when they have art in any expression
+ */
+export function getCharacterLayout() {
+  const { expressionTextures } = animationState;
+
+  const overridden = new Set();
+  for (const textures of expressionTextures.values()) {
+    for (const key of textures.keys()) overridden.add(key);
+  }
+
+  const sprites = {};
+  forEachSpriteSlot((key, slot) => {
+    if (!slot.loaded && !overridden.has(key)) return;
+    sprites[key] = { ...describeArt(slot), ...structuredClone(slot.layout) };
+  });
+
+  return {
+    layers: getLayerStack().map(({ builtIn, ...layer }) => layer),
+    sprites,
+    visemes: Object.fromEntries(MOUTH_TYPES.map(category => [category, `mouth_${resolveMouthType(category)}`])),
+    expressionEyes: { ...animationState.expressionEyeStates },
+    expressions: Object.fromEntries(
+      Array.from(expressionTextures.entries()).map(([expression, textures]) => [
+        expression,
+        Object.fromEntries(Array.from(textures.entries()).map(([key, art]) => [key, describeArt(art)])),
+      ])
+    ),
+  };
+}
+
+/**
+ * Where art came from, for export: { assetUrl, atlasSource }, plus fps and
+ * loop for a sequence
+ */
+function describeArt({ assetUrl, atlasSource, animation }) {
+  const description = { assetUrl, atlasSource: atlasSource && { ...atlasSource } };
+  if (animation) {
+    description.fps = animation.fps;
+    description.loop = animation.loop;
+  }
+  return description;
+}
+
+/**
+ * Sprite keys and the layer each is drawn in, for the layout editor
+ * Returns [{ key, layer }] in slot order
+ */
+export function getLayoutTargets() {
+  const targets = [];
+  forEachSpriteSlot((key) => {
+    const kind = getSlotKind(key);
+    targets.push({ key, layer: kind === 'layer' ? key : LAYER_BY_KIND[kind] });
+  });
+  return targets;
+}
+
+/**
+ * Display object drawn for a sprite key (its art or placeholder), or null
+ * For the layout editor's hit testing and gizmos; change the layout with
+ * setSlotLayout(), not the object
+ */
+export function getSlotDisplay(key) {
+  return getSpriteSlot(key)?.sprite || null;
+}
+
+export function getSlotLayout(key) {
+  const slot = getSpriteSlot(key);
+  return slot ? structuredClone(slot.layout) : null;
+}
+
+/**
+ * Change any part of a sprite's layout ({ position, anchor, scale, rotation })
+ */
+export function setSlotLayout(key, layout) {
+  const slot = getSpriteSlot(key);
+  if (!slot) {
+    console.warn(`Unknown sprite: ${key}`);
+    return;
+  }
+
+  slot.layout = {
+    position: { ...slot.layout.position, ...layout.position },
+    anchor: { ...slot.layout.anchor, ...layout.anchor },
+    scale: { ...slot.layout.scale, ...layout.scale },
+    rotation: layout.rotation ?? slot.layout.rotation,
+  };
+  applySlotLayout(slot);
+}
+
+/**
+ * Show sprites for layout editing regardless of lip sync and blinking
+ * - key: show this mouth shape or eye state alone in its layer
+ * - onionSkin: show every other mouth shape faintly behind the shown one
+ *   (the selected mouth, or the current mouth for other selections)
+ * Pass null without onionSkin to go back to what the animation shows
+ */
+export function setLayoutPreview(key, { onionSkin = false } = {}) {
+  const mouthKey = key?.startsWith('mouth_') ? key.slice(6) : animationState.currentMouthType;
+
+  if (onionSkin || key?.startsWith('mouth_')) {
+    forEachMouthSprite((type, sprite) => {
+      const isShown = type === mouthKey;
+      sprite.visible = isShown || onionSkin;
+      sprite.alpha = isShown ? 1 : ONION_SKIN_ALPHA;
+    });
+  } else {
+    snapMouth(animationState.currentMouthType);
+  }
+
+  const eyeState = key?.startsWith('eye_') ? key.slice(4) : animationState.displayedEyeState;
+  for (const [state, data] of animationState.eyeSprites) {
+    data.sprite.visible = state === eyeState;
+  }
+}
+
+/**
+ * Every sprite slot and the file that filled it, for the asset panel
+ * Returns [{ assetType, sourceName, animation }]: neutral slots first
+ * (sourceName is null while a slot shows its placeholder), then expression
+ * overrides; animation is { fps, loop, frameCount } for sequences
+ */
+export function getSpriteSources() {
+  const sources = [];
+  const describeAnimation = animation => animation && {
+    fps: animation.fps,
+    loop: animation.loop,
+    frameCount: animation.textures.length,
+  };
+
+  forEachSpriteSlot((key, slot) => {
+    sources.push({
+      assetType: key,
+      sourceName: slot.loaded ? (slot.sourceName || key) : null,
+      animation: slot.loaded ? describeAnimation(slot.animation) : null,
+    });
+  });
+
+  for (const [expression, textures] of animationState.expressionTextures) {
+    for (const [key, { sourceName, animation }] of textures) {
+      sources.push({ assetType: `${expression}_${key}`, sourceName: sourceName || key, animation: describeAnimation(animation) });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Textures of every loaded slot and expression override (each frame of a
+ * sequence): [{ assetType, textures }]
+ */
+export function getLoadedArt() {
+  const art = [];
+  const texturesOf = ({ texture, animation }) => (animation ? animation.textures : [texture]);
+
+  forEachSpriteSlot((key, slot) => {
+    if (slot.loaded && slot.texture) art.push({ assetType: key, textures: texturesOf(slot) });
+  });
+
+  for (const [expression, textures] of animationState.expressionTextures) {
+    for (const [key, override] of textures) {
+      if (override.texture) art.push({ assetType: `${expression}_${key}`, textures: texturesOf(override) });
+    }
+  }
+
+  return art;
+}
+
 /**
  * Load all default asset images from assets folder
  */
 export async function loadDefaultAssets(assetBasePath = '/assets') {
-  const mouthTypes = ['idle', 'a', 'e', 'o', 'u', 'closed', 'm', 'f'];
-  const eyeStates = ['open', 'closed'];
+  const mouthTypes = MOUTH_TYPES;
+  const eyeStates = EYE_STATES;
   let successCount = 0;
   let failureCount = 0;
 
@@ -326,13 +1255,15 @@ export async function loadDefaultAssets(assetBasePath = '/assets') {
       }
     }
 
-    // Load body sprite
-    try {
-      await loadAssetSprite('body', `${assetBasePath}/body.png`);
-      successCount++;
-    } catch (error) {
-      console.warn('⚠️ Could not load body');
-      failureCount++;
+    // Load body and brow sprites
+    for (const type of ['body', 'brow']) {
+      try {
+        await loadAssetSprite(type, `${assetBasePath}/${type}.png`);
+        successCount++;
+      } catch (error) {
+        console.warn(`⚠️ Could not load ${type}`);
+        failureCount++;
+      }
     }
 
     console.log(`✅ Default assets loaded: ${successCount} succeeded, ${failureCount} failed`);
@@ -350,13 +1281,27 @@ export function getAnimationState() {
   return {
     currentMouthType: animationState.currentMouthType,
     currentEyeState: animationState.currentEyeState,
+    forcedEyeState: animationState.forcedEyeState,
+    displayedEyeState: animationState.displayedEyeState,
     isBlinking: animationState.isBlinking,
+    blinkSettings: { ...animationState.blinkSettings },
     loadedMouth: Array.from(animationState.mouthSprites.entries())
       .filter(([, data]) => data.loaded)
       .map(([type]) => type),
+    loadedInBetweens: Array.from(animationState.mouthInBetweens.entries())
+      .filter(([, data]) => data.loaded)
+      .map(([key]) => key),
+    mouthTransition: { ...animationState.mouthTransition },
     loadedEyes: Array.from(animationState.eyeSprites.entries())
       .filter(([, data]) => data.loaded)
       .map(([state]) => state),
     bodyLoaded: animationState.bodySprite.loaded,
+    browLoaded: animationState.browSprite.loaded,
+    currentExpression: animationState.currentExpression,
+    expressionRevertIn: animationState.expressionRevertIn,
+    loadedExpressions: Object.fromEntries(
+      Array.from(animationState.expressionTextures.entries())
+        .map(([expression, textures]) => [expression, Array.from(textures.keys())])
+    ),
   };
 }
@@ -0,0 +1,143 @@
+/**
+ * asset-names.js
+ *
+ * Classify sprite image files by name
+ *
+ * Responsibilities:
+ * - Map a file name to a sprite asset type: the app's own names
+ *   (mouth_a.png, eye_closed.png, body.png, mouth_a_to_m.png) and common
+ *   aliases from other PNGtuber rigs (A.png, blink.png, mouth-open.png)
+ * - Match user layers by their name (hair_back.png for a "hair_back" layer)
+ * - Pick up expressions from a name prefix (happy_mouth_a.png) or a folder
+ *   (happy/mouth_a.png)
+ * - Split a batch of dropped files into classified and unmatched
+ *
+ * Names are compared lowercase with spaces, dots and dashes read as
+ * underscores, so "Mouth-Open.png" and "mouth open.png" both match.
+ */
+
+import { MOUTH_TYPES, EYE_STATES, EXPRESSIONS } from './animation.js';
+
+const IMAGE_FILE = /\.(png|jpe?g|webp)$/i;
+
+/**
+ * Alias → sprite key, for names that aren't already sprite keys
+ */
+const ALIASES = {
+  // Mouth shapes: bare vowels and common viseme names
+  a: 'mouth_a',
+  e: 'mouth_e',
+  i: 'mouth_e',
+  ee: 'mouth_e',
+  o: 'mouth_o',
+  u: 'mouth_u',
+  oo: 'mouth_u',
+  m: 'mouth_m',
+  b: 'mouth_m',
+  p: 'mouth_m',
+  mbp: 'mouth_m',
+  f: 'mouth_f',
+  v: 'mouth_f',
+  fv: 'mouth_f',
+  mouth: 'mouth_idle',
+  rest: 'mouth_idle',
+  mouth_rest: 'mouth_idle',
+  mouth_neutral: 'mouth_idle',
+  mouth_open: 'mouth_a',
+  open_mouth: 'mouth_a',
+  talk: 'mouth_a',
+  talking: 'mouth_a',
+  mouth_shut: 'mouth_closed',
+  closed_mouth: 'mouth_closed',
+
+  // Eyes
+  eye: 'eye_open',
+  eyes: 'eye_open',
+  open_eyes: 'eye_open',
+  blink: 'eye_closed',
+  blinking: 'eye_closed',
+  eye_blink: 'eye_closed',
+  eyes_blink: 'eye_closed',
+  closed_eyes: 'eye_closed',
+  half_blink: 'eye_half',
+  half_closed: 'eye_half',
+  sleepy: 'eye_half',
+
+  // Brows and body
+  brows: 'brow',
+  eyebrow: 'brow',
+  eyebrows: 'brow',
+  base: 'body',
+  torso: 'body',
+};
+
+/**
+ * Asset type for an image path, e.g. "happy/Mouth-Open.png" →
+ * "happy_mouth_a"; null when the name isn't recognized
+ * layerNames are the user layers, whose sprites are keyed by layer name
+ */
+export function classifyAssetFile(path, layerNames = []) {
+  const segments = path.split('/');
+  const fileName = segments.pop();
+  if (!IMAGE_FILE.test(fileName)) return null;
+
+  let name = normalizeName(fileName.replace(/\.[^.]+$/, ''));
+  let expression = EXPRESSIONS.find(candidate => candidate !== 'neutral' && name.startsWith(`${candidate}_`));
+
+  if (expression) {
+    name = name.slice(expression.length + 1);
+  } else {
+    // The nearest folder named after an expression
+    expression = segments.map(normalizeName).reverse().find(segment => EXPRESSIONS.includes(segment)) || 'neutral';
+  }
+
+  const key = layerNames.includes(name) ? name : getSpriteKey(name);
+  if (!key) return null;
+  return expression === 'neutral' ? key : `${expression}_${key}`;
+}
+
+/**
+ * Classify a batch of { file, path } entries
+ * Returns { matched: [{ file, path, assetType }], unmatched: [{ file, path }] }
+ * Non-image files are left out of both
+ */
+export function classifyAssetFiles(entries, layerNames = []) {
+  const matched = [];
+  const unmatched = [];
+
+  for (const entry of entries) {
+    if (!IMAGE_FILE.test(entry.path)) continue;
+
+    const assetType = classifyAssetFile(entry.path, layerNames);
+    if (assetType) {
+      matched.push({ ...entry, assetType });
+    } else {
+      unmatched.push(entry);
+    }
+  }
+
+  return { matched, unmatched };
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[\s.-]+/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Sprite key for a normalized, unprefixed name, or null
+ */
+function getSpriteKey(name) {
+  if (name === 'body' || name === 'brow') return name;
+
+  const mouth = name.match(/^(?:mouth_)?([a-z]+)_to_([a-z]+)$/);
+  if (mouth && MOUTH_TYPES.includes(mouth[1]) && MOUTH_TYPES.includes(mouth[2])) {
+    return `mouth_${mouth[1]}_to_${mouth[2]}`;
+  }
+  if (name.startsWith('mouth_') && MOUTH_TYPES.includes(name.slice(6))) return name;
+
+  // "eyes_closed" as well as "eye_closed"
+  const eye = name.match(/^eyes?_([a-z]+)$/);
+  if (eye && EYE_STATES.includes(eye[1])) return `eye_${eye[1]}`;
+
+  return ALIASES[name] || null;
+}
@@ -0,0 +1,179 @@
+/**
+ * atlas.js
+ *
+ * Texture atlases (sprite sheets) from TexturePacker and Aseprite
+ *
+ * Responsibilities:
+ * - Read atlas JSON in the hash or array layout both tools export
+ * - Collect frame sequences: TexturePacker "animations" and Aseprite
+ *   frame tags, with frame rate (from Aseprite frame durations) and loop mode
+ * - Cut the atlas image into frame textures
+ * - Fill sprite slots from frames and sequences named like sprites
+ *   (mouth_a.png, a "blink" tag) so a whole character can ship as one sheet
+ * - Keep loaded atlases so character packages and profiles can write them
+ *   back out
+ *
+ * A slot filled from a sequence is animated (see setSpriteFrames() in
+ * animation.js); a single frame is a still like any image.
+ */
+
+import { Spritesheet } from 'pixi.js';
+import { loadTexture, setSpriteFrames, DEFAULT_FRAME_FPS } from './animation.js';
+import { classifyAssetFile } from './asset-names.js';
+
+let atlases = new Map(); // Name (the JSON's path) → { name, json, imageUrl, textures, animations }
+
+/**
+ * Validate atlas JSON and list its frames and sequences
+ * Returns { success, data, image, frames, animations, error } where data is
+ * the hash layout Pixi's Spritesheet reads, image is meta.image and
+ * animations is { name: { frames, fps, loop } }
+ */
+export function parseAtlas(json) {
+  if (!json || typeof json !== 'object' || !json.frames || typeof json.meta?.image !== 'string') {
+    return { success: false, error: 'Not a TexturePacker or Aseprite atlas (needs "frames" and "meta.image")' };
+  }
+
+  // The array layout lists { filename, frame, ... }; the hash layout keys by name
+  const frameEntries = Array.isArray(json.frames)
+    ? json.frames.map(({ filename, ...frame }) => [filename, frame])
+    : Object.entries(json.frames);
+  if (frameEntries.length === 0 || frameEntries.some(([name, frame]) => typeof name !== 'string' || !frame?.frame)) {
+    return { success: false, error: 'Atlas frames need a name and a "frame" rectangle' };
+  }
+
+  const frames = frameEntries.map(([name]) => name);
+  const animations = {};
+
+  // TexturePacker: "animations": { "blink": ["blink_0.png", ...] }
+  for (const [name, sequence] of Object.entries(json.animations || {})) {
+    const names = sequence.filter(frame => frames.includes(frame));
+    if (names.length > 0) animations[name] = { frames: names, fps: DEFAULT_FRAME_FPS, loop: 'loop' };
+  }
+
+  // Aseprite: frame tags over the frame list, with per-frame durations
+  for (const tag of json.meta.frameTags || []) {
+    const tagged = frameEntries.slice(tag.from, tag.to + 1);
+    if (tagged.length === 0) continue;
+
+    const durations = tagged.map(([, frame]) => frame.duration).filter(duration => duration > 0);
+    const averageMs = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    const names = tagged.map(([name]) => name);
+    if (tag.direction === 'reverse' || tag.direction === 'pingpong_reverse') names.reverse();
+
+    animations[tag.name] = {
+      frames: names,
+      fps: durations.length > 0 ? round(1000 / averageMs) : DEFAULT_FRAME_FPS,
+      loop: Number(tag.repeat) === 1 ? 'once' : (tag.direction?.startsWith('pingpong') ? 'pingpong' : 'loop'),
+    };
+  }
+
+  return {
+    success: true,
+    data: { frames: Object.fromEntries(frameEntries), meta: json.meta },
+    image: json.meta.image,
+    frames,
+    animations,
+  };
+}
+
+/**
+ * Load an atlas and keep it under a name (the JSON's package path)
+ * imageUrl is where its meta.image can be fetched
+ * Returns { success, atlas, error }
+ */
+export async function loadAtlas(name, json, imageUrl) {
+  try {
+    const parsed = parseAtlas(json);
+    if (!parsed.success) return parsed;
+
+    const texture = await loadTexture(imageUrl);
+    const sheet = new Spritesheet(texture, parsed.data);
+    const textures = await sheet.parse();
+
+    const atlas = { name, json, imageUrl, textures, frames: parsed.frames, animations: parsed.animations };
+    atlases.set(name, atlas);
+
+    console.log(`🗺️ Atlas loaded: ${name} (${parsed.frames.length} frames, ${Object.keys(parsed.animations).length} animations)`);
+    return { success: true, atlas };
+  } catch (error) {
+    console.error(`Failed to load atlas ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Fill every sprite slot whose name matches a frame or a sequence
+ * (sequences win over single frames for the same slot)
+ * Returns { assigned: [assetType], unmatched: [frame or sequence name] }
+ */
+export function applyAtlasByName(atlas, layerNames = []) {
+  const assigned = [];
+  const unmatched = [];
+  const sequenced = new Set(Object.values(atlas.animations).flatMap(sequence => sequence.frames));
+
+  const sources = [
+    ...atlas.frames.map(frame => ({ name: frame, spec: { frames: [frame] } })),
+    ...Object.keys(atlas.animations).map(animation => ({ name: animation, spec: { animation } })),
+  ];
+
+  for (const { name, spec } of sources) {
+    // Frame names may carry no extension ("mouth_a") or a folder ("happy/mouth_a.png")
+    const assetType = classifyAssetFile(/\.\w+$/.test(name) ? name : `${name}.png`, layerNames);
+    if (assetType && applyAtlasFrames(assetType, { atlas: atlas.name, ...spec })) {
+      assigned.push(assetType);
+    } else if (!spec.frames || !sequenced.has(name)) {
+      // Frames of a sequence needn't be sprites themselves
+      unmatched.push(name);
+    }
+  }
+
+  return { assigned: Array.from(new Set(assigned)), unmatched };
+}
+
+/**
+ * Fill a sprite slot from an atlas
+ * spec: { atlas, frames: [names] } or { atlas, animation: name }, with
+ * optional fps and loop overriding the sequence's own; without atlas the
+ * first loaded atlas that has the frames is used
+ * Returns false when the frames aren't in any loaded atlas
+ */
+export function applyAtlasFrames(assetType, { atlas: atlasName, frames, animation, fps, loop }) {
+  const atlas = atlasName
+    ? atlases.get(atlasName)
+    : Array.from(atlases.values()).find(candidate => (animation
+      ? candidate.animations[animation]
+      : frames.every(frame => candidate.textures[frame])));
+
+  const sequence = animation ? atlas?.animations[animation] : { frames, fps: DEFAULT_FRAME_FPS, loop: 'loop' };
+  const textures = atlas && sequence?.frames.map(frame => atlas.textures[frame]);
+  if (!textures || textures.length === 0 || textures.some(texture => !texture)) {
+    console.warn(`⚠️ ${assetType}: no ${animation ? `animation "${animation}"` : `frames ${frames.join(', ')}`} in ${atlasName || 'the loaded atlases'}`);
+    return false;
+  }
+
+  return setSpriteFrames(assetType, textures, {
+    fps: fps ?? sequence.fps,
+    loop: loop ?? sequence.loop,
+    sourceName: `${atlas.name}: ${animation || frames.join(', ')}`,
+    atlasSource: { atlas: atlas.name, frames: animation ? null : [...frames], animation: animation || null },
+  });
+}
+
+/**
+ * A loaded atlas, for export: { name, json, imageUrl, ... }
+ */
+export function getAtlas(name) {
+  return atlases.get(name) || null;
+}
+
+/**
+ * Forget every atlas (when the character is replaced)
+ */
+export function clearAtlases() {
+  atlases = new Map();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
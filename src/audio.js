@@ -7,18 +7,70 @@
  * - Initialize WebAudio API context and constraints
  * - Request microphone permissions with proper error handling
  * - Capture real-time microphone audio via ScriptProcessorNode / AudioWorklet
- * - Buffer audio frames for Rhubarb processing
+ * - Cut capture into overlapping analysis windows stamped with the audio clock
+ * - Send windows straight to the analysis worker over a MessagePort
  * - Apply proper audio constraints (echo cancellation, noise suppression)
- * - Provide audio level metering for UI feedback
+ * - List input devices and remember per-device capture settings
+ * - Route app audio output through a compensation delay, with optional
+ *   microphone monitoring
+ * - Follow mic loudness with an RMS/peak envelope (level meter, voice bounce)
  * - Handle microphone enable/disable gracefully
  */
 
+import { createCapturePort, cancelNoiseCalibration } from './analysis.js';
+
 let audioContext = null;
 let mediaStream = null;
 let scriptProcessor = null;
+let capturePort = null;  // ScriptProcessorNode fallback's port to the analysis worker
 let analyser = null;
 let isAudioRunning = false;
-let audioBuffers = []; // Global buffer for audio data
+let isWorkletModuleLoaded = false;
+let outputDelay = null;  // All app audio goes through this to the speakers
+let monitorGain = null;  // Mic → output, silent unless monitoring
+let isMonitorEnabled = false;
+let levelSamples = null; // Time-domain scratch buffer for the envelope follower
+
+/**
+ * Loudness envelope: RMS mapped from ENVELOPE_FLOOR_DB..0 dBFS onto 0-1,
+ * rising with ENVELOPE_ATTACK and falling with ENVELOPE_RELEASE (seconds)
+ */
+const LEVEL_WINDOW_SIZE = 512; // 32ms at 16kHz
+const ENVELOPE_FLOOR_DB = -60;
+const ENVELOPE_ATTACK = 0.01;
+const ENVELOPE_RELEASE = 0.15;
+
+let envelope = {
+  rms: 0,   // Raw RMS of the latest window (linear)
+  peak: 0,  // Peak hold, decaying at the release rate (linear)
+  level: 0, // Smoothed loudness (0-1)
+  updatedAt: null,
+};
+
+/**
+ * Analysis windowing: each window overlaps the previous one by
+ * WINDOW - HOP, so the analyzer sees a fresh 40ms frame every 20ms
+ */
+export const CAPTURE_WINDOW_SECONDS = 0.04;
+const CAPTURE_HOP_SECONDS = 0.02;
+
+const MIC_SETTINGS_KEY = 'vtuber-animator.mic-settings';
+
+/**
+ * Capture constraints used for devices without saved settings
+ */
+const DEFAULT_DEVICE_SETTINGS = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: false,
+  channelCount: 1,
+};
+
+/**
+ * Selected device and per-device constraints, persisted in localStorage
+ * { selectedDeviceId, devices: { [deviceId]: DEFAULT_DEVICE_SETTINGS } }
+ */
+let micSettings = loadMicSettings();
 
 /**
  * Initialize WebAudio API (called once at startup)
@@ -35,6 +87,10 @@ export async function initAudio() {
     audioContext = new audioContextClass({ sampleRate: 16000 });
     console.log(`🔊 AudioContext initialized at ${audioContext.sampleRate}Hz`);
 
+    // Latency compensation delays everything the app plays
+    outputDelay = audioContext.createDelay(1.0);
+    outputDelay.connect(audioContext.destination);
+
     return { success: true };
   } catch (error) {
     console.error('Failed to initialize audio context:', error);
@@ -42,76 +98,6 @@ export async function initAudio() {
   }
 }
 
-/**
- * Start microphone capture
- */
-// export async function startMicrophone() {
-//   try {
-//     if (mediaStream) {
-//       console.warn('Microphone already running');
-//       return { success: true };
-//     }
-
-//     // Request microphone with proper constraints
-//     mediaStream = await navigator.mediaDevices.getUserMedia({
-//       audio: {
-//         echoCancellation: true,
-//         noiseSuppression: true,
-//         autoGainControl: false,
-//         sampleRate: 16000,
-//       },
-//       video: false,
-//     });
-
-//     console.log('✅ Microphone permission granted');
-
-//     // Create audio nodes
-//     const source = audioContext.createMediaStreamSource(mediaStream);
-
-//     // Create analyser for volume metering
-//     analyser = audioContext.createAnalyser();
-//     analyser.fftSize = 2048;
-//     source.connect(analyser);
-
-//     // Create script processor for audio capture (deprecated but widely supported)
-//     // For better performance, AudioWorklet would be preferred, but this works reliably
-//     scriptProcessor = audioContext.createScriptProcessor(4096, 1, 1);
-
-//     // Process audio data
-//     scriptProcessor.onaudioprocess = (event) => {
-//       const inputData = event.inputBuffer.getChannelData(0);
-      
-//       // Copy audio data (convert Float32Array to Array for serialization if needed)
-//       const audioArray = new Float32Array(inputData.length);
-//       audioArray.set(inputData);
-
-//       audioBuffers.push({
-//         data: audioArray,
-//         timestamp: Date.now(),
-//         sampleRate: audioContext.sampleRate,
-//       });
-
-//       // Keep only recent buffers (~1 second worth)
-//       if (audioBuffers.length > 15) {
-//         audioBuffers.shift();
-//       }
-//     };
-
-//     // Connect to destination to ensure the audio graph is active
-//     source.connect(scriptProcessor);
-//     scriptProcessor.connect(audioContext.destination);
-
-//     isAudioRunning = true;
-
-//     // Store buffer queue globally for animation loop access
-//     window.audioBufferQueue = audioBuffers;
-
-//     return { success: true };
-//   } catch (error) {
-//     console.error('Microphone access denied or failed:', error);
-//     return { success: false, error: error.message };
-//   }
-// }
 /**
  * Start microphone capture using AudioWorkletNode
  */
@@ -122,16 +108,8 @@ export async function startMicrophone() {
       return { success: true };
     }
 
-    // Request microphone with proper constraints
-    mediaStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: false,
-        sampleRate: 16000,
-      },
-      video: false,
-    });
+    // Request microphone with the selected device's constraints
+    mediaStream = await openMicrophoneStream(micSettings.selectedDeviceId);
 
     console.log('✅ Microphone permission granted');
 
@@ -140,31 +118,31 @@ export async function startMicrophone() {
 
     // Create analyser for volume metering
     analyser = audioContext.createAnalyser();
-    analyser.fftSize = 2048;
+    analyser.fftSize = LEVEL_WINDOW_SIZE;
+    levelSamples = new Float32Array(analyser.fftSize);
     source.connect(analyser);
 
+    // Monitor path, so the delayed voice can be compared with the mouth
+    monitorGain = audioContext.createGain();
+    monitorGain.gain.value = isMonitorEnabled ? 1 : 0;
+    source.connect(monitorGain);
+    monitorGain.connect(outputDelay);
+
     // Use AudioWorkletNode instead of deprecated ScriptProcessorNode
     try {
-      // Load the audio worklet processor
-      await audioContext.audioWorklet.addModule('/audio-processor.js');
-      
-      const workletNode = new AudioWorkletNode(audioContext, 'audio-processor');
+      // Load the audio worklet processor (once per context)
+      if (!isWorkletModuleLoaded) {
+        await audioContext.audioWorklet.addModule('/audio-processor.js');
+        isWorkletModuleLoaded = true;
+      }
       
-      // Handle messages from the worklet
-      workletNode.port.onmessage = (event) => {
-        const audioArray = new Float32Array(event.data.audioData);
-        
-        audioBuffers.push({
-          data: audioArray,
-          timestamp: Date.now(),
-          sampleRate: audioContext.sampleRate,
-        });
-
-        // Keep only recent buffers (~1 second worth)
-        if (audioBuffers.length > 15) {
-          audioBuffers.shift();
-        }
-      };
+      const workletNode = new AudioWorkletNode(audioContext, 'audio-processor', {
+        processorOptions: getWindowSizes(),
+      });
+
+      // Windows bypass this thread and go straight to the analysis worker
+      const capturePort = createCapturePort();
+      workletNode.port.postMessage({ type: 'connect', port: capturePort }, [capturePort]);
 
       scriptProcessor = workletNode;
       source.connect(workletNode);
@@ -173,23 +151,17 @@ export async function startMicrophone() {
     } catch (error) {
       console.warn('AudioWorklet not supported, falling back to ScriptProcessorNode:', error);
       
-      // Fallback to deprecated ScriptProcessorNode
+      // Fallback to deprecated ScriptProcessorNode, windowed on this thread
       scriptProcessor = audioContext.createScriptProcessor(4096, 1, 1);
+      capturePort = createCapturePort();
+      const accumulator = createWindowAccumulator(getWindowSizes(), capturePort);
 
       scriptProcessor.onaudioprocess = (event) => {
-        const inputData = event.inputBuffer.getChannelData(0);
-        const audioArray = new Float32Array(inputData.length);
-        audioArray.set(inputData);
-
-        audioBuffers.push({
-          data: audioArray,
-          timestamp: Date.now(),
-          sampleRate: audioContext.sampleRate,
-        });
-
-        if (audioBuffers.length > 15) {
-          audioBuffers.shift();
-        }
+        // The block ends at the context's current frame, the clock the
+        // worklet stamps with (playbackTime is later, when output plays)
+        const samples = event.inputBuffer.getChannelData(0);
+        const startFrame = Math.round(audioContext.currentTime * audioContext.sampleRate) - samples.length;
+        accumulator.push(samples, startFrame);
       };
 
       source.connect(scriptProcessor);
@@ -197,7 +169,6 @@ export async function startMicrophone() {
     }
 
     isAudioRunning = true;
-    window.audioBufferQueue = audioBuffers;
 
     return { success: true };
   } catch (error) {
@@ -205,10 +176,89 @@ export async function startMicrophone() {
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * getUserMedia for a device, falling back to the default device when the
+ * saved one has been unplugged
+ */
+async function openMicrophoneStream(deviceId) {
+  const settings = getDeviceSettings(deviceId);
+  const audio = {
+    echoCancellation: settings.echoCancellation,
+    noiseSuppression: settings.noiseSuppression,
+    autoGainControl: settings.autoGainControl,
+    channelCount: { ideal: settings.channelCount },
+    sampleRate: 16000,
+  };
+
+  if (deviceId && deviceId !== 'default') {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: { ...audio, deviceId: { exact: deviceId } },
+        video: false,
+      });
+    } catch (error) {
+      if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+        throw error;
+      }
+      console.warn(`⚠️ Microphone ${deviceId} unavailable, using default device`);
+    }
+  }
+
+  return navigator.mediaDevices.getUserMedia({ audio, video: false });
+}
+
+/**
+ * Window and hop lengths in samples at the context's rate
+ */
+function getWindowSizes() {
+  return {
+    windowSize: Math.round(CAPTURE_WINDOW_SECONDS * audioContext.sampleRate),
+    hopSize: Math.round(CAPTURE_HOP_SECONDS * audioContext.sampleRate),
+  };
+}
+
+/**
+ * Main-thread equivalent of the worklet's ring buffer, for the
+ * ScriptProcessorNode fallback; posts windows to the capture port
+ */
+function createWindowAccumulator({ windowSize, hopSize }, port) {
+  const ring = new Float32Array(windowSize);
+  let writeIndex = 0;
+  let filled = 0;
+  let sinceLastHop = 0;
+
+  return {
+    push(samples, startFrame) {
+      for (let i = 0; i < samples.length; i++) {
+        ring[writeIndex] = samples[i];
+        writeIndex = (writeIndex + 1) % windowSize;
+        if (filled < windowSize) filled++;
+        sinceLastHop++;
+
+        if (sinceLastHop >= hopSize && filled === windowSize) {
+          const data = new Float32Array(windowSize);
+          data.set(ring.subarray(writeIndex), 0);
+          data.set(ring.subarray(0, writeIndex), windowSize - writeIndex);
+          port.postMessage({
+            audioData: data,
+            hopSize: sinceLastHop,
+            endFrame: startFrame + i + 1,
+            sampleRate: audioContext.sampleRate,
+          }, [data.buffer]);
+          sinceLastHop = 0;
+        }
+      }
+    },
+  };
+}
+
 /**
  * Stop microphone capture
  */
 export async function stopMicrophone() {
+  cancelNoiseCalibration();
+
   if (mediaStream) {
     mediaStream.getTracks().forEach(track => track.stop());
     mediaStream = null;
@@ -216,6 +266,15 @@ export async function stopMicrophone() {
 
   if (scriptProcessor) {
     scriptProcessor.disconnect();
+    if (scriptProcessor.port) {
+      // Worklet: close its capture port and let the processor end
+      scriptProcessor.port.postMessage({ type: 'disconnect' });
+      scriptProcessor.port.close();
+    } else {
+      scriptProcessor.onaudioprocess = null;
+      capturePort.close();
+      capturePort = null;
+    }
     scriptProcessor = null;
   }
 
@@ -224,31 +283,168 @@ export async function stopMicrophone() {
     analyser = null;
   }
 
+  if (monitorGain) {
+    monitorGain.disconnect();
+    monitorGain = null;
+  }
+
   isAudioRunning = false;
-  window.audioBufferQueue = [];
   console.log('🛑 Microphone stopped');
 }
 
 /**
- * Get current audio level (0-100) for UI feedback
- * Useful for showing microphone activity
+ * List audio input devices
+ * Labels are empty until microphone permission has been granted, so call
+ * again after startMicrophone() succeeds
  */
-export function getAudioLevel() {
-  if (!analyser || !isAudioRunning) return 0;
+export async function listAudioInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'audioinput')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Microphone ${index + 1}`,
+      hasLabel: Boolean(device.label),
+    }));
+}
+
+/**
+ * Call back whenever a device is plugged in or removed
+ */
+export function onAudioDevicesChanged(callback) {
+  navigator.mediaDevices?.addEventListener('devicechange', callback);
+}
+
+/**
+ * Currently selected input device id ('default' for the system default)
+ */
+export function getSelectedDeviceId() {
+  return micSettings.selectedDeviceId;
+}
+
+/**
+ * Saved capture constraints for a device
+ */
+export function getDeviceSettings(deviceId = micSettings.selectedDeviceId) {
+  return { ...DEFAULT_DEVICE_SETTINGS, ...micSettings.devices[deviceId] };
+}
+
+/**
+ * Select an input device; restarts capture if the microphone is live
+ */
+export async function selectMicrophoneDevice(deviceId) {
+  micSettings.selectedDeviceId = deviceId;
+  saveMicSettings();
+  return restartMicrophoneIfRunning();
+}
+
+/**
+ * Change capture constraints for a device; restarts capture if it is live
+ */
+export async function updateDeviceSettings(deviceId, settings) {
+  micSettings.devices[deviceId] = { ...getDeviceSettings(deviceId), ...settings };
+  saveMicSettings();
+
+  if (deviceId !== micSettings.selectedDeviceId) {
+    return { success: true };
+  }
+  return restartMicrophoneIfRunning();
+}
+
+/**
+ * Rebuild the capture graph so new device/constraints take effect
+ */
+async function restartMicrophoneIfRunning() {
+  if (!isAudioRunning) {
+    return { success: true };
+  }
+
+  await stopMicrophone();
+  return startMicrophone();
+}
+
+function loadMicSettings() {
+  const fallback = { selectedDeviceId: 'default', devices: {} };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(MIC_SETTINGS_KEY));
+    return saved ? { ...fallback, ...saved } : fallback;
+  } catch (error) {
+    console.warn('Could not read saved microphone settings:', error);
+    return fallback;
+  }
+}
 
-  const dataArray = new Uint8Array(analyser.frequencyBinCount);
-  analyser.getByteFrequencyData(dataArray);
+function saveMicSettings() {
+  try {
+    localStorage.setItem(MIC_SETTINGS_KEY, JSON.stringify(micSettings));
+  } catch (error) {
+    console.warn('Could not save microphone settings:', error);
+  }
+}
 
-  // Calculate average frequency magnitude
-  let sum = 0;
-  for (let i = 0; i < dataArray.length; i++) {
-    sum += dataArray[i];
+/**
+ * Advance the loudness envelope from the latest mic samples
+ * Call once per frame; returns the envelope (see getAudioEnvelope)
+ */
+export function updateAudioEnvelope() {
+  const now = performance.now();
+  const deltaSeconds = envelope.updatedAt === null ? 0 : (now - envelope.updatedAt) / 1000;
+  envelope.updatedAt = now;
+
+  let rms = 0;
+  let peak = 0;
+
+  if (analyser && isAudioRunning) {
+    analyser.getFloatTimeDomainData(levelSamples);
+
+    let sumSquares = 0;
+    for (let i = 0; i < levelSamples.length; i++) {
+      const sample = levelSamples[i];
+      sumSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    rms = Math.sqrt(sumSquares / levelSamples.length);
   }
 
-  const average = sum / dataArray.length;
-  
-  // Normalize to 0-100
-  return Math.min(100, Math.floor((average / 255) * 100));
+  const releaseFactor = Math.exp(-deltaSeconds / ENVELOPE_RELEASE);
+  const target = rmsToLevel(rms);
+  const coefficient = target > envelope.level
+    ? 1 - Math.exp(-deltaSeconds / ENVELOPE_ATTACK)
+    : 1 - releaseFactor;
+
+  envelope.rms = rms;
+  envelope.peak = Math.max(peak, envelope.peak * releaseFactor);
+  envelope.level += (target - envelope.level) * coefficient;
+
+  return getAudioEnvelope();
+}
+
+/**
+ * Map linear RMS onto 0-1 between ENVELOPE_FLOOR_DB and full scale
+ */
+function rmsToLevel(rms) {
+  if (rms <= 0) return 0;
+  const db = 20 * Math.log10(rms);
+  return Math.min(1, Math.max(0, 1 - db / ENVELOPE_FLOOR_DB));
+}
+
+/**
+ * Latest loudness envelope: { rms, peak, level }
+ */
+export function getAudioEnvelope() {
+  return { rms: envelope.rms, peak: envelope.peak, level: envelope.level };
+}
+
+/**
+ * Get current audio level (0-100) for UI feedback
+ * Useful for showing microphone activity
+ */
+export function getAudioLevel() {
+  if (!analyser || !isAudioRunning) return 0;
+  return Math.round(envelope.level * 100);
 }
 
 /**
@@ -258,6 +454,52 @@ export function isMicrophoneRunning() {
   return isAudioRunning;
 }
 
+/**
+ * Hardware input latency of the live microphone track (seconds), when the
+ * browser reports it
+ */
+export function getInputLatency() {
+  const track = mediaStream?.getAudioTracks()[0];
+  return track?.getSettings().latency ?? null;
+}
+
+/**
+ * Node app audio should connect to instead of the destination
+ */
+export function getAudioOutput() {
+  return outputDelay || audioContext?.destination || null;
+}
+
+/**
+ * Delay all app audio output (seconds, 0-1)
+ * Glides to the new value so changes don't click
+ */
+export function setOutputDelay(seconds) {
+  if (!outputDelay) return;
+  const target = Math.max(0, Math.min(1, seconds));
+  if (Math.abs(outputDelay.delayTime.value - target) < 0.002) return;
+  outputDelay.delayTime.setTargetAtTime(target, audioContext.currentTime, 0.05);
+}
+
+export function getOutputDelay() {
+  return outputDelay ? outputDelay.delayTime.value : 0;
+}
+
+/**
+ * Play the microphone through the (delayed) output
+ * Use headphones: monitoring through speakers feeds back
+ */
+export function setMicMonitor(enabled) {
+  isMonitorEnabled = enabled;
+  if (monitorGain) {
+    monitorGain.gain.setTargetAtTime(enabled ? 1 : 0, audioContext.currentTime, 0.02);
+  }
+}
+
+export function isMicMonitorEnabled() {
+  return isMonitorEnabled;
+}
+
 /**
  * Get current audio context
  */
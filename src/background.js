@@ -0,0 +1,193 @@
+/**
+ * background.js
+ *
+ * What the canvas shows behind the character
+ *
+ * Responsibilities:
+ * - Transparent (an alpha canvas for OBS browser sources), a solid chroma
+ *   key color, or an image
+ * - Switch between them at runtime
+ * - Check a chroma color against every loaded sprite, so keying it out
+ *   doesn't cut holes in the character
+ * - Remember the mode and color in localStorage
+ *
+ * The renderer is created with an alpha canvas (see initializePixiJS() in
+ * main.js); solid colors are its clear color and images a sprite behind the
+ * character. Background images aren't saved: after a reload the image mode
+ * starts transparent until an image is picked again.
+ */
+
+import { Sprite } from 'pixi.js';
+import { loadTexture, getLoadedArt } from './animation.js';
+
+export const BACKGROUND_MODES = ['transparent', 'color', 'image'];
+export const CHROMA_PRESETS = { green: '#00ff00', magenta: '#ff00ff', blue: '#0000ff' };
+
+const BACKGROUND_SETTINGS_KEY = 'vtuber-animator.background';
+const CHROMA_TOLERANCE = 48; // RGB distance still keyed out as the chroma color
+const MIN_ALPHA = 128;       // Fainter pixels barely show against the key
+
+const DEFAULT_BACKGROUND = { mode: 'transparent', color: CHROMA_PRESETS.green };
+
+let backgroundState = {
+  app: null,
+  imageSprite: null,
+  imageUrl: null,    // Object URL owned by this module
+  imageName: null,
+  ...loadBackgroundSettings(),
+};
+
+/**
+ * Put the background behind everything on the stage and apply the saved
+ * settings
+ */
+export function initBackground(app) {
+  const imageSprite = new Sprite();
+  imageSprite.label = 'background';
+  imageSprite.anchor.set(0.5);
+  imageSprite.eventMode = 'none';
+  imageSprite.visible = false;
+  app.stage.addChildAt(imageSprite, 0);
+
+  backgroundState.app = app;
+  backgroundState.imageSprite = imageSprite;
+
+  // No image survives a reload
+  if (backgroundState.mode === 'image') backgroundState.mode = 'transparent';
+  applyBackground();
+}
+
+/**
+ * Switch mode and/or color ({ mode, color: '#rrggbb' }); invalid values are
+ * ignored. The image mode needs an image from setBackgroundImage()
+ */
+export function setBackground({ mode, color } = {}) {
+  if (BACKGROUND_MODES.includes(mode)) backgroundState.mode = mode;
+  if (/^#[0-9a-f]{6}$/i.test(color)) backgroundState.color = color.toLowerCase();
+
+  applyBackground();
+  saveBackgroundSettings();
+}
+
+/**
+ * Show an image file behind the character, scaled to cover the canvas
+ * Returns { success, error }
+ */
+export async function setBackgroundImage(file) {
+  const url = URL.createObjectURL(file);
+
+  try {
+    const texture = await loadTexture(url);
+    if (backgroundState.imageUrl) URL.revokeObjectURL(backgroundState.imageUrl);
+
+    backgroundState.imageSprite.texture = texture;
+    backgroundState.imageUrl = url;
+    backgroundState.imageName = file.name;
+    setBackground({ mode: 'image' });
+
+    console.log(`🖼️ Background image: ${file.name}`);
+    return { success: true };
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    console.error('Failed to load background image:', error);
+    return { success: false, error: error.message || 'Not an image' };
+  }
+}
+
+/**
+ * Current background: { mode, color, imageName }
+ */
+export function getBackground() {
+  const { mode, color, imageName } = backgroundState;
+  return { mode, color, imageName };
+}
+
+function applyBackground() {
+  const { app, imageSprite, mode, color, imageUrl } = backgroundState;
+  if (!app) return;
+
+  const background = app.renderer.background;
+  if (mode === 'color') {
+    background.color = color;
+    background.alpha = 1;
+  } else {
+    // Transparent, and around an image that doesn't load
+    background.alpha = 0;
+  }
+
+  imageSprite.visible = mode === 'image' && imageUrl !== null;
+  if (imageSprite.visible) {
+    const { width, height } = app.screen;
+    const texture = imageSprite.texture;
+    imageSprite.scale.set(Math.max(width / texture.width, height / texture.height));
+    imageSprite.position.set(width / 2, height / 2);
+  }
+}
+
+/**
+ * Sprites drawing a color close enough to be keyed out with it
+ * Returns [{ assetType, pixels }] (pixels: how many), worst first
+ */
+export function findChromaConflicts(color = backgroundState.color) {
+  const key = [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  const conflicts = [];
+
+  for (const { assetType, textures } of getLoadedArt()) {
+    let pixels = 0;
+    for (const texture of textures) {
+      pixels += countKeyedPixels(context, texture, key);
+    }
+    if (pixels > 0) conflicts.push({ assetType, pixels });
+  }
+
+  return conflicts.sort((a, b) => b.pixels - a.pixels);
+}
+
+/**
+ * Draw one texture's frame (atlas frames are part of a bigger image) and
+ * count its visible pixels within CHROMA_TOLERANCE of the key
+ */
+function countKeyedPixels(context, texture, [keyR, keyG, keyB]) {
+  const image = texture.source?.resource;
+  const { x, y, width, height } = texture.frame;
+  if (!image || width < 1 || height < 1) return 0;
+
+  context.canvas.width = width;
+  context.canvas.height = height;
+  context.clearRect(0, 0, width, height);
+  context.drawImage(image, x, y, width, height, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const limit = CHROMA_TOLERANCE * CHROMA_TOLERANCE;
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    const dr = data[i] - keyR;
+    const dg = data[i + 1] - keyG;
+    const db = data[i + 2] - keyB;
+    if (dr * dr + dg * dg + db * db <= limit) count++;
+  }
+  return count;
+}
+
+function loadBackgroundSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BACKGROUND_SETTINGS_KEY));
+    return { ...DEFAULT_BACKGROUND, ...saved };
+  } catch (error) {
+    console.warn('Could not read saved background settings:', error);
+    return { ...DEFAULT_BACKGROUND };
+  }
+}
+
+function saveBackgroundSettings() {
+  const { mode, color } = backgroundState;
+
+  try {
+    localStorage.setItem(BACKGROUND_SETTINGS_KEY, JSON.stringify({ mode, color }));
+  } catch (error) {
+    console.warn('Could not save background settings:', error);
+  }
+}
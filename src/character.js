@@ -0,0 +1,468 @@
+/**
+ * character.js
+ *
+ * Character packages: a character.json manifest plus its images
+ *
+ * Responsibilities:
+ * - Validate manifests and expand shorthand entries
+ * - Read a package from a folder, loose files or a single .zip
+ * - Load a package (or the public assets folder) into the sprite system,
+ *   including texture atlases and animated frame sequences
+ * - Export the loaded sprites, layout and mapping back into a .zip package
+ *   (or as a manifest plus images, for saved profiles)
+ *
+ * Manifest (paths are relative to character.json):
+ * {
+ *   "format": "vtuber-character", "version": 1, "name": "Mika",
+ *   "layers": [{ "name": "hair_back" }, { "name": "body", "follows": "body" },
+ *              { "name": "eyes" }, { "name": "brows" }, { "name": "mouth" },
+ *              { "name": "blush", "opacity": 0.8, "blendMode": "multiply",
+ *                "showWhen": { "expressions": ["happy"], "talking": null } }],
+ *   "atlases": ["atlases/mika.json"],
+ *   "sprites": {
+ *     "mouth_a": { "file": "mouth_a.png", "position": { "x": 640, "y": 480 },
+ *                  "anchor": { "x": 0.5, "y": 0.5 }, "scale": { "x": 1, "y": 1 },
+ *                  "rotation": 0 },
+ *     "eye_open": "eye_open.png",
+ *     "hair_back": "hair_back.png",
+ *     "mouth_e": { "frame": "mouth_e.png" },
+ *     "mouth_idle": { "animation": "sparkle", "fps": 12, "loop": "pingpong" },
+ *     "eye_closed": { "frames": ["blink_0.png", "blink_1.png"], "fps": 24, "loop": "once" }
+ *   },
+ *   "visemes": { "closed": "mouth_m" },
+ *   "expressionEyes": { "happy": "happy", "angry": "half", "surprised": null },
+ *   "expressions": { "happy": { "mouth_a": "happy/mouth_a.png", "eye_open": { "animation": "happy_eyes" } } }
+ * }
+ *
+ * Atlases are TexturePacker or Aseprite JSON; their frames and sequences
+ * fill sprites named like them, and "frame", "frames" or "animation" (with
+ * an optional "atlas" path) pick frames explicitly.
+ */
+
+import { configureCharacter, loadAssetSprite, loadDefaultAssets, getCharacterLayout, EXPRESSIONS } from './animation.js';
+import { loadAtlas, applyAtlasByName, applyAtlasFrames, getAtlas, clearAtlases } from './atlas.js';
+import { getLayerStack } from './layers.js';
+import { readZip, createZip } from './zip.js';
+
+export const MANIFEST_FILE = 'character.json';
+const MANIFEST_FORMAT = 'vtuber-character';
+const MANIFEST_VERSION = 1;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+let characterName = null; // Name of the loaded package, null for loose assets
+
+/**
+ * Validate a parsed character.json and expand shorthands
+ * Returns { success, manifest, warnings, error }
+ */
+export function parseManifest(json) {
+  if (!json || typeof json !== 'object') {
+    return { success: false, error: 'character.json is not a JSON object' };
+  }
+  if (json.format && json.format !== MANIFEST_FORMAT) {
+    return { success: false, error: `Unknown character format: ${json.format}` };
+  }
+  if (json.version > MANIFEST_VERSION) {
+    return { success: false, error: `character.json version ${json.version} is newer than this app supports (${MANIFEST_VERSION})` };
+  }
+  if (!json.sprites || typeof json.sprites !== 'object') {
+    return { success: false, error: 'character.json has no "sprites"' };
+  }
+
+  const warnings = [];
+  const sprites = {};
+
+  for (const [key, entry] of Object.entries(json.sprites)) {
+    const spec = typeof entry === 'string' ? { file: entry } : entry;
+    sprites[key] = {
+      ...toArtSpec(entry),
+      position: toPoint(spec.position),
+      anchor: toPoint(spec.anchor),
+      scale: toPoint(spec.scale),
+      rotation: typeof spec.rotation === 'number' ? spec.rotation : undefined,
+    };
+  }
+
+  const expressions = {};
+  for (const [expression, files] of Object.entries(json.expressions || {})) {
+    if (!EXPRESSIONS.includes(expression) || expression === 'neutral') {
+      warnings.push(`Skipping unknown expression "${expression}"`);
+      continue;
+    }
+    expressions[expression] = Object.fromEntries(
+      Object.entries(files).map(([key, entry]) => [key, toArtSpec(entry)])
+    );
+  }
+
+  const atlases = (json.atlases || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.file))
+    .filter(path => typeof path === 'string');
+
+  const layers = [];
+  for (const entry of json.layers || []) {
+    const layer = typeof entry === 'string' ? { name: entry } : entry;
+    if (typeof layer?.name !== 'string') {
+      warnings.push('Skipping a layer without a name');
+      continue;
+    }
+    layers.push(layer);
+  }
+
+  return {
+    success: true,
+    manifest: {
+      name: json.name || 'Character',
+      layers,
+      atlases,
+      sprites,
+      visemes: { ...json.visemes },
+      expressionEyes: { ...json.expressionEyes },
+      expressions,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Where a sprite's art comes from: { file } for an image, or atlas frames
+ * { frames, animation, atlas, fps, loop }
+ * "eye_open.png" is shorthand for { "file": "eye_open.png" } and
+ * { "frame": "a.png" } for { "frames": ["a.png"] }
+ */
+function toArtSpec(entry) {
+  const spec = typeof entry === 'string' ? { file: entry } : (entry || {});
+  const frames = Array.isArray(spec.frames) ? spec.frames : (typeof spec.frame === 'string' ? [spec.frame] : null);
+
+  return {
+    file: spec.file || null,
+    frames,
+    animation: typeof spec.animation === 'string' ? spec.animation : null,
+    atlas: typeof spec.atlas === 'string' ? spec.atlas : undefined,
+    fps: typeof spec.fps === 'number' ? spec.fps : undefined,
+    loop: typeof spec.loop === 'string' ? spec.loop : undefined,
+  };
+}
+
+/**
+ * { x, y } from an object, an [x, y] pair or one number for both; undefined
+ * when absent so defaults apply
+ */
+function toPoint(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'number') return { x: value, y: value };
+  if (Array.isArray(value)) return { x: value[0], y: value[1] };
+
+  const point = {};
+  if (typeof value.x === 'number') point.x = value.x;
+  if (typeof value.y === 'number') point.y = value.y;
+  return point;
+}
+
+/**
+ * Read a package from picked files: a folder selection, loose files that
+ * include character.json, or a single .zip
+ * Entries are Files or { file, path } pairs (dropped folders carry their
+ * paths separately)
+ * Returns { success, manifest, files: Map(path → Blob), warnings, error }
+ */
+export async function readCharacterPackage(fileList) {
+  try {
+    const entries = Array.from(fileList, entry => (entry instanceof Blob
+      ? { file: entry, path: entry.webkitRelativePath || entry.name }
+      : entry));
+    let files = new Map();
+
+    if (entries.length === 1 && entries[0].path.toLowerCase().endsWith('.zip')) {
+      files = await readZip(entries[0].file);
+    } else {
+      for (const { file, path } of entries) {
+        files.set(path, file);
+      }
+    }
+
+    // The shallowest character.json is the package root
+    const manifestPath = Array.from(files.keys())
+      .filter(path => path === MANIFEST_FILE || path.endsWith(`/${MANIFEST_FILE}`))
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+
+    if (!manifestPath) {
+      return { success: false, error: `No ${MANIFEST_FILE} found` };
+    }
+
+    const root = manifestPath.slice(0, -MANIFEST_FILE.length);
+    const result = parseManifest(JSON.parse(await files.get(manifestPath).text()));
+    if (!result.success) return result;
+
+    // Re-key files relative to the package root
+    const packageFiles = new Map();
+    for (const [path, blob] of files) {
+      if (path.startsWith(root)) packageFiles.set(path.slice(root.length), blob);
+    }
+
+    return { success: true, manifest: result.manifest, files: packageFiles, warnings: result.warnings };
+  } catch (error) {
+    console.error('Failed to read character package:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load a package read by readCharacterPackage()
+ * Returns { success, name, loaded, missing, assets: [{ url, fileName }] }
+ * The asset URLs are object URLs the caller owns
+ */
+export async function loadCharacterPackage({ manifest, files }) {
+  const assets = [];
+
+  const result = await applyManifest(manifest, (path) => {
+    const blob = files.get(path);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    assets.push({ url, fileName: path });
+    return url;
+  });
+
+  return { ...result, assets };
+}
+
+/**
+ * Load public/assets: a character.json there wins over the default
+ * file-name conventions
+ */
+export async function loadDefaultCharacter(assetBasePath = '/assets') {
+  let manifest = null;
+
+  try {
+    const response = await fetch(`${assetBasePath}/${MANIFEST_FILE}`);
+    if (response.ok) {
+      const result = parseManifest(await response.json());
+      if (result.success) {
+        manifest = result.manifest;
+      } else {
+        console.warn(`⚠️ Ignoring ${assetBasePath}/${MANIFEST_FILE}: ${result.error}`);
+      }
+    }
+  } catch (error) {
+    // No manifest (the dev server answers missing files with index.html)
+  }
+
+  if (!manifest) {
+    return loadDefaultAssets(assetBasePath);
+  }
+
+  const result = await applyManifest(manifest, path => `${assetBasePath}/${path}`);
+  return { success: result.success, successCount: result.loaded, failureCount: result.missing.length };
+}
+
+/**
+ * Lay out the rig and load every image and atlas the manifest names
+ * resolveUrl(path) returns a URL for a package path, or null when missing
+ */
+async function applyManifest(manifest, resolveUrl) {
+  configureCharacter(manifest);
+  clearAtlases();
+
+  const missing = [];
+  let loaded = 0;
+
+  // Atlases fill sprites named like their frames; sprite entries can override
+  const layerNames = getLayerStack().filter(layer => !layer.builtIn).map(layer => layer.name);
+  for (const path of manifest.atlases) {
+    const result = await loadPackageAtlas(path, resolveUrl);
+    if (!result.success) {
+      missing.push(path);
+      continue;
+    }
+    loaded += applyAtlasByName(result.atlas, layerNames).assigned.length;
+  }
+
+  const requests = [];
+  for (const [key, sprite] of Object.entries(manifest.sprites)) {
+    requests.push({ assetType: key, spec: sprite });
+  }
+  for (const [expression, files] of Object.entries(manifest.expressions)) {
+    for (const [key, spec] of Object.entries(files)) {
+      requests.push({ assetType: `${expression}_${key}`, spec });
+    }
+  }
+
+  for (const { assetType, spec } of requests) {
+    if (spec.frames || spec.animation) {
+      if (applyAtlasFrames(assetType, spec)) {
+        loaded++;
+      } else {
+        missing.push(spec.animation || spec.frames.join(', '));
+      }
+      continue;
+    }
+    if (!spec.file) continue; // Layout only
+
+    const url = resolveUrl(spec.file);
+    if (!url) {
+      missing.push(spec.file);
+      continue;
+    }
+    await loadAssetSprite(assetType, url, spec.file);
+    loaded++;
+  }
+
+  if (missing.length > 0) {
+    console.warn(`⚠️ Character "${manifest.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  characterName = manifest.name;
+  console.log(`✅ Character loaded: ${manifest.name} (${loaded} sprites)`);
+  return { success: true, name: manifest.name, loaded, missing };
+}
+
+/**
+ * Load an atlas JSON from the package; its image is relative to the JSON
+ * Returns loadAtlas()'s result
+ */
+async function loadPackageAtlas(path, resolveUrl) {
+  try {
+    const url = resolveUrl(path);
+    if (!url) return { success: false, error: `Missing ${path}` };
+
+    const json = await (await fetch(url)).json();
+    const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+    const imageUrl = typeof json.meta?.image === 'string' ? resolveUrl(folder + json.meta.image) : null;
+    if (!imageUrl) return { success: false, error: `Missing the image of ${path}` };
+
+    return await loadAtlas(path, json, imageUrl);
+  } catch (error) {
+    console.warn(`⚠️ Could not read atlas ${path}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Bundle the loaded sprites and layout into a package
+ * Returns { success, blob, fileName, error }
+ */
+export async function exportCharacterPackage(name = characterName || 'Character') {
+  try {
+    const { manifest, files } = await collectCharacterPackage(name);
+    const blob = await createZip([{ path: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) }, ...files]);
+    const fileName = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'character'}.zip`;
+    console.log(`📦 Exported character "${name}" (${files.length} images)`);
+    return { success: true, blob, fileName };
+  } catch (error) {
+    console.error('Failed to export character:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * The loaded character as a manifest plus its images
+ * Returns { manifest, files: [{ path, data: Blob }] }; throws when an image
+ * can't be read back
+ */
+export async function collectCharacterPackage(name = characterName || 'Character') {
+  const layout = getCharacterLayout();
+  const files = [];
+  const atlasPaths = new Map(); // Atlas name → package path, each written once
+  const sprites = {};
+  const expressions = {};
+
+  for (const [key, { assetUrl, atlasSource, fps, loop, ...spriteLayout }] of Object.entries(layout.sprites)) {
+    // Sprites drawn only by expressions keep their layout without art
+    const art = await addArt(files, atlasPaths, key, { assetUrl, atlasSource, fps, loop });
+    sprites[key] = { ...art, ...spriteLayout };
+  }
+
+  for (const [expression, entries] of Object.entries(layout.expressions)) {
+    expressions[expression] = {};
+    for (const [key, description] of Object.entries(entries)) {
+      const art = await addArt(files, atlasPaths, `${expression}/${key}`, description);
+      expressions[expression][key] = art.file || art;
+    }
+  }
+
+  const manifest = {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name,
+    layers: layout.layers,
+    atlases: Array.from(atlasPaths.values()),
+    sprites,
+    visemes: layout.visemes,
+    expressionEyes: layout.expressionEyes,
+    expressions,
+  };
+
+  return { manifest, files };
+}
+
+/**
+ * Add a sprite's art to the package
+ * Returns its manifest entry fields: { file } for an image, atlas frames
+ * ({ atlas, frame | frames | animation, fps, loop }), or {} without art
+ */
+async function addArt(files, atlasPaths, basePath, { assetUrl, atlasSource, fps, loop }) {
+  if (assetUrl) {
+    return { file: await addImage(files, basePath, assetUrl) };
+  }
+  if (!atlasSource) return {};
+
+  const art = { atlas: await addAtlas(files, atlasPaths, atlasSource.atlas) };
+  if (atlasSource.animation) {
+    art.animation = atlasSource.animation;
+  } else if (atlasSource.frames.length === 1) {
+    art.frame = atlasSource.frames[0];
+  } else {
+    art.frames = atlasSource.frames;
+  }
+  if (fps !== undefined) {
+    art.fps = fps;
+    art.loop = loop;
+  }
+  return art;
+}
+
+/**
+ * Write a loaded atlas (JSON and image) into the package once
+ * Returns the JSON's package path
+ */
+async function addAtlas(files, atlasPaths, name) {
+  if (atlasPaths.has(name)) return atlasPaths.get(name);
+
+  const atlas = getAtlas(name);
+  if (!atlas) throw new Error(`Atlas ${name} is no longer loaded`);
+
+  const baseName = name.split('/').pop().replace(/\.json$/i, '').replace(/[^\w-]+/g, '_') || 'atlas';
+  const basePath = `atlases/${atlasPaths.size > 0 ? `${baseName}_${atlasPaths.size + 1}` : baseName}`;
+  const imagePath = await addImage(files, basePath, atlas.imageUrl);
+
+  // The image sits next to the JSON
+  const json = { ...atlas.json, meta: { ...atlas.json.meta, image: imagePath.split('/').pop() } };
+  const path = `${basePath}.json`;
+  files.push({ path, data: new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }) });
+
+  atlasPaths.set(name, path);
+  return path;
+}
+
+/**
+ * Fetch a loaded image back from its URL into the package
+ * Returns its package path
+ */
+async function addImage(files, basePath, assetUrl) {
+  const blob = await (await fetch(assetUrl)).blob();
+  const path = `${basePath}.${IMAGE_EXTENSIONS[blob.type] || 'png'}`;
+  files.push({ path, data: blob });
+  return path;
+}
+
+/**
+ * Name of the loaded character package, or null
+ */
+export function getCharacterName() {
+  return characterName;
+}
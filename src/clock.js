@@ -0,0 +1,87 @@
+/**
+ * clock.js
+ *
+ * Animation clock shared by every animation subsystem
+ *
+ * Responsibilities:
+ * - Turn real frame time (from the Pixi ticker) into animation time
+ * - Pause, resume and scale animation time
+ * - Step animation time by exact amounts for deterministic testing
+ * - Deliver each tick's delta to subscribed subsystems (blinks, mouth
+ *   transitions, idle motion)
+ *
+ * Lip sync itself follows the audio clock, not this one; pausing animation
+ * freezes motion but never the microphone pipeline.
+ */
+
+const MAX_DELTA_MS = 100; // A stalled or throttled tab resumes smoothly, not in one jump
+
+let clockState = {
+  timeMs: 0,      // Animation time since start
+  timeScale: 1,
+  isPaused: false,
+  frame: 0,
+};
+
+const subscribers = new Set();
+
+/**
+ * Call back on every tick with (deltaSeconds, timeMs)
+ * Returns a function that unsubscribes
+ */
+export function onClockTick(callback) {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Advance by one real frame; called from the Pixi ticker
+ * Does nothing while paused
+ */
+export function advanceClock(realDeltaMs) {
+  if (clockState.isPaused) return;
+  tick(Math.min(Math.max(0, realDeltaMs), MAX_DELTA_MS) * clockState.timeScale);
+}
+
+/**
+ * Advance by exactly deltaMs of animation time, even while paused
+ * Use with setClockPaused(true) to step animations frame by frame
+ */
+export function stepClock(deltaMs = 1000 / 60) {
+  tick(Math.max(0, deltaMs));
+}
+
+function tick(deltaMs) {
+  clockState.timeMs += deltaMs;
+  clockState.frame++;
+
+  for (const callback of subscribers) {
+    callback(deltaMs / 1000, clockState.timeMs);
+  }
+}
+
+export function setClockPaused(paused) {
+  clockState.isPaused = paused;
+}
+
+/**
+ * Speed up (> 1) or slow down (< 1) all animation
+ */
+export function setTimeScale(scale) {
+  if (!(scale >= 0)) {
+    console.warn(`Invalid time scale: ${scale}`);
+    return;
+  }
+  clockState.timeScale = scale;
+}
+
+/**
+ * Current animation time in ms
+ */
+export function getClockTime() {
+  return clockState.timeMs;
+}
+
+export function getClockState() {
+  return { ...clockState, subscribers: subscribers.size };
+}
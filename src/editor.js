@@ -0,0 +1,623 @@
+/**
+ * editor.js
+ *
+ * On-canvas layout editor for sprite position, scale, rotation and anchor
+ *
+ * Responsibilities:
+ * - Select a sprite by clicking it (or from the panel), or a whole layer
+ * - Gizmos: drag the frame to move, a corner to scale, the top handle to
+ *   rotate and the anchor dot to re-anchor without moving the art
+ * - Nudge the selection with the arrow keys
+ * - Snap positions to a grid, scale to 5% steps, rotation to 15° and
+ *   anchors to 0.05 (hold Alt while dragging to place freely)
+ * - Onion-skin every mouth shape while laying out the mouth
+ * - Undo and redo every change
+ *
+ * Edits go straight into each slot's layout in animation.js, which is what
+ * character packages and profiles save. The editor assumes the rig is in its
+ * rest pose (main.js holds the animation while editing), so canvas pixels
+ * and layout positions line up.
+ */
+
+import { Graphics } from 'pixi.js';
+import { getLayoutTargets, getSlotDisplay, getSlotLayout, setSlotLayout, setLayoutPreview } from './animation.js';
+
+const GIZMO_COLOR = 0x00aaff;
+const HANDLE_SIZE = 10;             // Pixels; also how close a click must be to grab a handle
+const ROTATE_HANDLE_DISTANCE = 30;  // Pixels above the top edge
+const SCALE_SNAP = 0.05;
+const ROTATION_SNAP = 15;           // Degrees
+const ANCHOR_SNAP = 0.05;
+const MIN_SCALE = 0.01;
+const MAX_HISTORY = 100;
+const NUDGE_MERGE_MS = 1000;        // Arrow-key nudges this close together undo as one step
+const LAYER_PREFIX = 'layer:';
+
+/**
+ * - snap: snap while dragging (Alt overrides)
+ * - gridSize: position grid in canvas pixels
+ * - onionSkin: show all mouth shapes faintly while editing the mouth
+ */
+export const DEFAULT_EDITOR_SETTINGS = {
+  snap: true,
+  gridSize: 10,
+  onionSkin: true,
+};
+
+let editorState = {
+  app: null,
+  overlay: null,     // Gizmo graphics, drawn above the character
+  enabled: false,
+  target: null,      // Sprite key ('mouth_a') or a whole layer ('layer:mouth')
+  settings: { ...DEFAULT_EDITOR_SETTINGS },
+  drag: null,        // Gesture in progress, see startDrag()
+  undoStack: [],     // [{ before, after, kind, time }]; before/after: Map(key → layout)
+  redoStack: [],
+  onChange: null,    // Called after every committed edit, undo and redo
+};
+
+/**
+ * Attach the editor to the Pixi app
+ * onChange is called whenever a layout changes (e.g. to save the profile)
+ */
+export function initEditor(app, { onChange } = {}) {
+  const overlay = new Graphics();
+  overlay.eventMode = 'none';
+  overlay.visible = false;
+  app.stage.addChild(overlay);
+
+  app.stage.hitArea = app.screen;
+  app.stage.on('pointerdown', onPointerDown);
+  app.stage.on('globalpointermove', onPointerMove);
+  app.stage.on('pointerup', endDrag);
+  app.stage.on('pointerupoutside', endDrag);
+  app.ticker.add(updateEditor);
+
+  editorState.app = app;
+  editorState.overlay = overlay;
+  editorState.onChange = onChange || null;
+
+  console.log('✅ Layout editor initialized');
+}
+
+/**
+ * Turn edit mode on or off
+ */
+export function setLayoutEditing(enabled) {
+  const { app, overlay } = editorState;
+
+  editorState.enabled = enabled;
+  editorState.drag = null;
+  app.stage.eventMode = enabled ? 'static' : 'passive';
+  app.stage.cursor = enabled ? 'crosshair' : 'default';
+  overlay.visible = enabled;
+
+  if (!enabled) {
+    overlay.clear();
+    setLayoutPreview(null);
+  }
+}
+
+/**
+ * Select a sprite key, a layer ('layer:mouth') or nothing (null)
+ */
+export function selectLayoutTarget(target) {
+  editorState.target = target;
+  editorState.drag = null;
+}
+
+/**
+ * Update editor settings (any subset of DEFAULT_EDITOR_SETTINGS)
+ */
+export function setLayoutEditorSettings(settings) {
+  editorState.settings = { ...editorState.settings, ...settings };
+}
+
+/**
+ * Selection, its layout (sprites only) and history, for the panel
+ */
+export function getLayoutEditorState() {
+  const keys = getTargetKeys(editorState.target);
+  const isLayer = editorState.target?.startsWith(LAYER_PREFIX);
+
+  return {
+    enabled: editorState.enabled,
+    target: keys.length > 0 ? editorState.target : null,
+    layout: keys.length > 0 && !isLayer ? getSlotLayout(keys[0]) : null,
+    settings: { ...editorState.settings },
+    canUndo: editorState.undoStack.length > 0,
+    canRedo: editorState.redoStack.length > 0,
+  };
+}
+
+/**
+ * Move the selection by canvas pixels
+ */
+export function nudgeLayout(dx, dy) {
+  const keys = getTargetKeys(editorState.target);
+  if (keys.length === 0) return;
+
+  const before = captureLayouts(keys);
+  for (const [key, layout] of before) {
+    setSlotLayout(key, {
+      position: { x: layout.position.x + dx, y: layout.position.y + dy },
+    });
+  }
+  commit(before, 'nudge');
+}
+
+/**
+ * Set part of the selected sprite's layout from the panel's fields
+ */
+export function setTargetLayout(layout) {
+  const keys = getTargetKeys(editorState.target);
+  if (keys.length !== 1 || editorState.target.startsWith(LAYER_PREFIX)) return;
+
+  const before = captureLayouts(keys);
+  setSlotLayout(keys[0], layout);
+  commit(before, 'input');
+}
+
+export function undoLayoutEdit() {
+  const entry = editorState.undoStack.pop();
+  if (!entry) return false;
+
+  applyLayouts(entry.before);
+  editorState.redoStack.push(entry);
+  editorState.onChange?.();
+  return true;
+}
+
+export function redoLayoutEdit() {
+  const entry = editorState.redoStack.pop();
+  if (!entry) return false;
+
+  applyLayouts(entry.after);
+  editorState.undoStack.push(entry);
+  editorState.onChange?.();
+  return true;
+}
+
+/**
+ * Forget undo history (e.g. when another character is loaded)
+ */
+export function clearLayoutHistory() {
+  editorState.undoStack = [];
+  editorState.redoStack = [];
+}
+
+// ==================== Selection and history ====================
+
+/**
+ * Sprite keys a target covers; empty when the target doesn't exist (any more)
+ */
+function getTargetKeys(target) {
+  if (!target) return [];
+
+  const targets = getLayoutTargets();
+  if (target.startsWith(LAYER_PREFIX)) {
+    const layer = target.slice(LAYER_PREFIX.length);
+    return targets.filter(entry => entry.layer === layer).map(entry => entry.key);
+  }
+  return targets.some(entry => entry.key === target) ? [target] : [];
+}
+
+function captureLayouts(keys) {
+  return new Map(keys.map(key => [key, getSlotLayout(key)]));
+}
+
+function applyLayouts(layouts) {
+  for (const [key, layout] of layouts) {
+    if (getSlotDisplay(key)) setSlotLayout(key, layout);
+  }
+}
+
+/**
+ * Record an edit that changed the layouts captured in before
+ */
+function commit(before, kind) {
+  const after = captureLayouts(Array.from(before.keys()));
+  if (JSON.stringify([...before]) === JSON.stringify([...after])) return;
+
+  const { undoStack } = editorState;
+  const last = undoStack[undoStack.length - 1];
+  const now = performance.now();
+
+  if (kind === 'nudge' && last?.kind === 'nudge' && now - last.time < NUDGE_MERGE_MS
+      && JSON.stringify([...last.after.keys()]) === JSON.stringify([...after.keys()])) {
+    last.after = after;
+    last.time = now;
+  } else {
+    undoStack.push({ before, after, kind, time: now });
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  }
+
+  editorState.redoStack = [];
+  editorState.onChange?.();
+}
+
+// ==================== Pointer gestures ====================
+
+function onPointerDown(event) {
+  if (!editorState.enabled) return;
+
+  const point = { x: event.global.x, y: event.global.y };
+  const frame = getTargetFrame();
+  let mode = frame ? hitHandle(frame, point) : null;
+
+  if (!mode && !(frame && containsPoint(frame.corners, point))) {
+    const key = pickSprite(point);
+    selectLayoutTarget(key);
+    if (!key) return;
+  }
+
+  startDrag(mode || 'move', point);
+}
+
+/**
+ * Capture everything a gesture transforms from: the starting layouts, where
+ * each sprite sits on the canvas, and the point scaling and rotation pivot on
+ */
+function startDrag(mode, point) {
+  const frame = getTargetFrame();
+  const keys = getTargetKeys(editorState.target);
+  if (!frame || keys.length === 0) return;
+
+  const positions = new Map();
+  for (const key of keys) {
+    const display = getSlotDisplay(key);
+    positions.set(key, display.parent ? display.parent.toGlobal(display.position) : { ...display.position });
+  }
+
+  editorState.drag = {
+    mode,
+    start: point,
+    pivot: frame.pivot,
+    single: frame.single,
+    before: captureLayouts(keys),
+    positions,
+  };
+}
+
+function onPointerMove(event) {
+  const { drag, settings } = editorState;
+  if (!editorState.enabled || !drag) return;
+
+  const point = { x: event.global.x, y: event.global.y };
+  const snap = settings.snap && !event.altKey;
+
+  if (drag.mode === 'anchor') {
+    moveAnchor(point, snap);
+    return;
+  }
+
+  let delta = { x: 0, y: 0 };
+  let scale = 1;
+  let rotation = 0;
+  const firstLayout = drag.before.values().next().value;
+
+  if (drag.mode === 'move') {
+    delta = { x: point.x - drag.start.x, y: point.y - drag.start.y };
+    if (snap) {
+      // Land the pivot (the sprite's anchor, or the layer's center) on the grid
+      const grid = Math.max(1, settings.gridSize);
+      delta.x = Math.round((drag.pivot.x + delta.x) / grid) * grid - drag.pivot.x;
+      delta.y = Math.round((drag.pivot.y + delta.y) / grid) * grid - drag.pivot.y;
+    }
+  } else if (drag.mode === 'scale') {
+    const startDistance = Math.max(1, distance(drag.start, drag.pivot));
+    scale = distance(point, drag.pivot) / startDistance;
+    if (snap) {
+      // Snap the resulting scale of a sprite, or the factor for a layer
+      const base = drag.single ? Math.abs(firstLayout.scale.x) || 1 : 1;
+      scale = (Math.round((scale * base) / SCALE_SNAP) * SCALE_SNAP) / base;
+    }
+  } else if (drag.mode === 'rotate') {
+    rotation = (angleOf(point, drag.pivot) - angleOf(drag.start, drag.pivot)) * 180 / Math.PI;
+    if (snap) {
+      const base = drag.single ? firstLayout.rotation : 0;
+      rotation = Math.round((base + rotation) / ROTATION_SNAP) * ROTATION_SNAP - base;
+    }
+  }
+
+  transformTarget(delta, Math.max(MIN_SCALE, scale), rotation);
+}
+
+/**
+ * Scale and rotate every selected sprite around the pivot, then move it
+ */
+function transformTarget(delta, scale, rotation) {
+  const { drag } = editorState;
+  const radians = rotation * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  for (const [key, layout] of drag.before) {
+    const display = getSlotDisplay(key);
+    if (!display) continue;
+
+    const start = drag.positions.get(key);
+    const offsetX = (start.x - drag.pivot.x) * scale;
+    const offsetY = (start.y - drag.pivot.y) * scale;
+    const canvasPoint = {
+      x: drag.pivot.x + offsetX * cos - offsetY * sin + delta.x,
+      y: drag.pivot.y + offsetX * sin + offsetY * cos + delta.y,
+    };
+    const position = display.parent ? display.parent.toLocal(canvasPoint) : canvasPoint;
+
+    setSlotLayout(key, {
+      position: { x: round(position.x, 2), y: round(position.y, 2) },
+      scale: { x: round(layout.scale.x * scale, 3), y: round(layout.scale.y * scale, 3) },
+      rotation: round(normalizeDegrees(layout.rotation + rotation), 2),
+    });
+  }
+}
+
+/**
+ * Move the selected sprite's anchor under the pointer, shifting its position
+ * so the art stays where it is
+ */
+function moveAnchor(point, snap) {
+  const key = editorState.target;
+  const display = getSlotDisplay(key);
+  if (!display?.anchor) return;
+
+  const bounds = display.getLocalBounds();
+  if (bounds.width <= 0 || bounds.height <= 0) return;
+
+  const local = display.toLocal(point);
+  const step = snap ? ANCHOR_SNAP : 0.001;
+  const anchor = {
+    x: round(Math.round((local.x - bounds.minX) / bounds.width / step) * step, 3),
+    y: round(Math.round((local.y - bounds.minY) / bounds.height / step) * step, 3),
+  };
+
+  const anchorPoint = display.toGlobal({
+    x: bounds.minX + anchor.x * bounds.width,
+    y: bounds.minY + anchor.y * bounds.height,
+  });
+  const position = display.parent ? display.parent.toLocal(anchorPoint) : anchorPoint;
+
+  setSlotLayout(key, {
+    anchor,
+    position: { x: round(position.x, 2), y: round(position.y, 2) },
+  });
+}
+
+function endDrag() {
+  const { drag } = editorState;
+  if (!drag) return;
+
+  editorState.drag = null;
+  commit(drag.before, drag.mode);
+}
+
+/**
+ * Topmost visible sprite under a canvas point, or null
+ */
+function pickSprite(point) {
+  let picked = null;
+  let pickedDepth = null;
+
+  for (const { key } of getLayoutTargets()) {
+    const display = getSlotDisplay(key);
+    if (!display || !isShown(display)) continue;
+
+    const local = display.toLocal(point);
+    if (!display.getLocalBounds().containsPoint(local.x, local.y)) continue;
+
+    const depth = getDepth(display);
+    if (!picked || compareDepth(depth, pickedDepth) > 0) {
+      picked = key;
+      pickedDepth = depth;
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Visible and not an onion-skin ghost, up to the stage
+ */
+function isShown(display) {
+  if (display.alpha < 0.5) return false;
+  for (let node = display; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * Child indices from the stage down; later in draw order compares greater
+ */
+function getDepth(display) {
+  const depth = [];
+  for (let node = display; node.parent; node = node.parent) {
+    depth.unshift(node.parent.getChildIndex(node));
+  }
+  return depth;
+}
+
+function compareDepth(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+// ==================== Gizmo ====================
+
+/**
+ * Per-frame: keep the selected sprites on show and redraw the gizmo
+ */
+function updateEditor() {
+  if (!editorState.enabled) return;
+
+  const { target, settings, app, overlay } = editorState;
+  const keys = getTargetKeys(target);
+  const isMouth = target === `${LAYER_PREFIX}mouth` || Boolean(target?.startsWith('mouth_'));
+  const previewKey = keys.length === 1 && !target.startsWith(LAYER_PREFIX) ? target : null;
+  setLayoutPreview(previewKey, { onionSkin: settings.onionSkin && isMouth });
+
+  // Stay above anything added to the stage later
+  if (app.stage.children[app.stage.children.length - 1] !== overlay) {
+    app.stage.addChild(overlay);
+  }
+  drawGizmo();
+}
+
+/**
+ * Selection outline in canvas coordinates
+ * Returns { corners, pivot, rotateHandle, canAnchor, single } or null
+ */
+function getTargetFrame() {
+  const { target } = editorState;
+  const keys = getTargetKeys(target);
+  if (keys.length === 0) return null;
+
+  if (!target.startsWith(LAYER_PREFIX)) {
+    const display = getSlotDisplay(target);
+    const corners = getCorners(display);
+    return {
+      corners,
+      pivot: display.toGlobal({ x: 0, y: 0 }),
+      rotateHandle: getRotateHandle(corners),
+      canAnchor: Boolean(display.anchor),
+      single: true,
+    };
+  }
+
+  // A layer: the box around all of its sprites, pivoting on its center
+  const points = keys.flatMap(key => getCorners(getSlotDisplay(key)));
+  const minX = Math.min(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const maxX = Math.max(...points.map(p => p.x));
+  const maxY = Math.max(...points.map(p => p.y));
+  const corners = [
+    { x: minX, y: minY },
+    { x: maxX, y: minY },
+    { x: maxX, y: maxY },
+    { x: minX, y: maxY },
+  ];
+
+  return {
+    corners,
+    pivot: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+    rotateHandle: getRotateHandle(corners),
+    canAnchor: false,
+    single: false,
+  };
+}
+
+/**
+ * Corners of a display object's local bounds on the canvas, clockwise from
+ * its top left
+ */
+function getCorners(display) {
+  const { minX, minY, maxX, maxY } = display.getLocalBounds();
+  return [
+    { x: minX, y: minY },
+    { x: maxX, y: minY },
+    { x: maxX, y: maxY },
+    { x: minX, y: maxY },
+  ].map(corner => display.toGlobal(corner));
+}
+
+/**
+ * Rotation handle: out from the middle of the top edge
+ */
+function getRotateHandle(corners) {
+  const top = midpoint(corners[0], corners[1]);
+  const center = midpoint(corners[0], corners[2]);
+  const length = distance(top, center) || 1;
+  return {
+    x: top.x + ((top.x - center.x) / length) * ROTATE_HANDLE_DISTANCE,
+    y: top.y + ((top.y - center.y) / length) * ROTATE_HANDLE_DISTANCE,
+    from: top,
+  };
+}
+
+/**
+ * Handle under a canvas point: 'rotate', 'anchor', 'scale' or null
+ */
+function hitHandle(frame, point) {
+  if (distance(point, frame.rotateHandle) <= HANDLE_SIZE) return 'rotate';
+  if (frame.canAnchor && distance(point, frame.pivot) <= HANDLE_SIZE) return 'anchor';
+  if (frame.corners.some(corner => distance(point, corner) <= HANDLE_SIZE)) return 'scale';
+  return null;
+}
+
+function drawGizmo() {
+  const { overlay } = editorState;
+  overlay.clear();
+
+  const frame = getTargetFrame();
+  if (!frame) return;
+
+  const { corners, rotateHandle, pivot } = frame;
+  const half = HANDLE_SIZE / 2;
+
+  overlay
+    .poly(corners.flatMap(corner => [corner.x, corner.y]))
+    .moveTo(rotateHandle.from.x, rotateHandle.from.y)
+    .lineTo(rotateHandle.x, rotateHandle.y)
+    .stroke({ width: 1, color: GIZMO_COLOR });
+
+  for (const corner of corners) {
+    overlay.rect(corner.x - half, corner.y - half, HANDLE_SIZE, HANDLE_SIZE);
+  }
+  overlay
+    .circle(rotateHandle.x, rotateHandle.y, half)
+    .fill(0xffffff)
+    .stroke({ width: 1, color: GIZMO_COLOR });
+
+  if (frame.canAnchor) {
+    overlay
+      .circle(pivot.x, pivot.y, 4)
+      .moveTo(pivot.x - HANDLE_SIZE, pivot.y)
+      .lineTo(pivot.x + HANDLE_SIZE, pivot.y)
+      .moveTo(pivot.x, pivot.y - HANDLE_SIZE)
+      .lineTo(pivot.x, pivot.y + HANDLE_SIZE)
+      .stroke({ width: 2, color: 0xff6600 });
+  }
+}
+
+// ==================== Geometry ====================
+
+/**
+ * Whether a point is inside a convex quad (corners in order)
+ */
+function containsPoint(corners, point) {
+  let sign = 0;
+  for (let i = 0; i < corners.length; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % corners.length];
+    const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+    if (cross !== 0) {
+      if (sign !== 0 && Math.sign(cross) !== sign) return false;
+      sign = Math.sign(cross);
+    }
+  }
+  return true;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function angleOf(point, pivot) {
+  return Math.atan2(point.y - pivot.y, point.x - pivot.x);
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees + 180) % 360 + 360) % 360 - 180;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
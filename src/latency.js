@@ -0,0 +1,162 @@
+/**
+ * latency.js
+ *
+ * Audio/visual latency budget and compensation
+ *
+ * Responsibilities:
+ * - Measure each stage between a sound and the mouth showing it:
+ *   * input and output latency reported by the browser
+ *   * analysis window, queue age (audio clock) and analysis time
+ *   * render time (one animation frame)
+ * - Compare the visual path with the audio path the viewer hears
+ * - Compensate either by delaying app audio output to match the mouth, or by
+ *   analyzing file playback ahead of the playhead (lookahead)
+ *
+ * All values are milliseconds. Lag = visual - audio; positive means the
+ * mouth is late. The lag is measured before compensation (it is what
+ * compensation is set from); the effective lag is what remains after it.
+ */
+
+import { getAudioContext, getInputLatency, getOutputDelay, isMicMonitorEnabled } from './audio.js';
+
+/**
+ * Compensation modes
+ * - off: measure only
+ * - delay-audio: delay app output (mic monitor, file playback) by the lag
+ * - lookahead: render the mouth early by analyzing ahead of the playhead
+ *   (file playback and timelines only; live input has no future to read)
+ */
+export const COMPENSATION_MODES = ['off', 'delay-audio', 'lookahead'];
+
+const SMOOTHING = 0.1;          // One-pole smoothing for noisy per-result measurements
+const MAX_COMPENSATION_MS = 1000; // Matches the output DelayNode's maximum
+
+let latencySettings = {
+  mode: 'off',
+  extraAudioMs: 0, // Extra delay on the viewer's audio path (e.g. an OBS sync offset)
+};
+
+let measured = {
+  queueAgeMs: null,
+  analysisMs: null,
+  frameMs: 1000 / 60,
+};
+
+/**
+ * Update compensation settings (any subset of latencySettings)
+ */
+export function configureLatency(settings) {
+  if (settings.mode && !COMPENSATION_MODES.includes(settings.mode)) {
+    console.warn(`Unknown latency compensation mode: ${settings.mode}`);
+    return;
+  }
+  latencySettings = { ...latencySettings, ...settings };
+}
+
+/**
+ * Record a live viseme result when it is applied to the mouth
+ * Queue age is measured on the audio clock from the window's last sample
+ */
+export function recordLiveResult(result) {
+  const audioContext = getAudioContext();
+  if (!audioContext || result.timestamp === undefined) return;
+
+  const ageMs = Math.max(0, (audioContext.currentTime - result.timestamp) * 1000);
+  measured.queueAgeMs = smooth(measured.queueAgeMs, ageMs);
+  if (result.analysisMs !== undefined) {
+    measured.analysisMs = smooth(measured.analysisMs, result.analysisMs);
+  }
+}
+
+/**
+ * Record in-thread analysis time (file playback)
+ */
+export function recordAnalysisTime(ms) {
+  measured.analysisMs = smooth(measured.analysisMs, ms);
+}
+
+/**
+ * Record the interval between animation frames
+ */
+export function recordFrame(deltaMs) {
+  // Ignore stalls (tab in background) so they don't skew the budget
+  if (deltaMs > 0 && deltaMs < 250) {
+    measured.frameMs = smooth(measured.frameMs, deltaMs);
+  }
+}
+
+/**
+ * Latency budget for the given source ('mic' or 'file')
+ * windowMs is the analysis window (0 for pre-baked timelines); the mouth
+ * represents its center
+ */
+export function getLatencyBudget(source = 'mic', windowMs = 0) {
+  const audioContext = getAudioContext();
+  const baseMs = (audioContext?.baseLatency || 0) * 1000;
+  const outputMs = (audioContext?.outputLatency || 0) * 1000;
+  const inputMs = source === 'mic' ? (getInputLatency() || 0) * 1000 : 0;
+  const analysisMs = measured.analysisMs || 0;
+  const renderMs = measured.frameMs;
+
+  // Live: queue age already includes transfer and analysis time.
+  // Files are analyzed at the playhead within the frame
+  const pipelineMs = source === 'mic' ? (measured.queueAgeMs || 0) : analysisMs;
+
+  const visualMs = inputMs + windowMs / 2 + pipelineMs + renderMs;
+  const audioMs = inputMs + baseMs + outputMs + latencySettings.extraAudioMs;
+  const lagMs = visualMs - audioMs;
+
+  // Compensation in effect: the output delay only reaches the viewer through
+  // app audio (the mic just while it's monitored); lookahead moves the mouth
+  const isDelayHeard = source === 'file' || isMicMonitorEnabled();
+  const appliedDelayMs = isDelayHeard ? getOutputDelay() * 1000 : 0;
+  const lookaheadMs = getLookaheadSeconds({ source, lagMs }) * 1000;
+
+  return {
+    source,
+    mode: latencySettings.mode,
+    inputMs,
+    windowMs: windowMs / 2,
+    queueAgeMs: source === 'mic' ? measured.queueAgeMs : null,
+    analysisMs,
+    renderMs,
+    baseMs,
+    outputMs,
+    extraAudioMs: latencySettings.extraAudioMs,
+    visualMs,
+    audioMs,
+    lagMs,
+    appliedDelayMs,
+    lookaheadMs,
+    effectiveLagMs: lagMs - appliedDelayMs - lookaheadMs,
+  };
+}
+
+/**
+ * Delay to apply to app audio output (seconds)
+ */
+export function getAudioDelaySeconds(budget) {
+  if (latencySettings.mode !== 'delay-audio' || !budget) return 0;
+  return clampMs(budget.lagMs) / 1000;
+}
+
+/**
+ * How far ahead of the playhead to analyze file playback (seconds)
+ * Negative when the mouth would otherwise lead the audio
+ */
+export function getLookaheadSeconds(budget) {
+  if (latencySettings.mode !== 'lookahead' || budget?.source !== 'file') return 0;
+  return Math.max(-MAX_COMPENSATION_MS, Math.min(MAX_COMPENSATION_MS, budget.lagMs)) / 1000;
+}
+
+export function getLatencySettings() {
+  return { ...latencySettings };
+}
+
+function clampMs(ms) {
+  return Math.max(0, Math.min(MAX_COMPENSATION_MS, ms));
+}
+
+function smooth(previous, value) {
+  return previous === null ? value : previous + (value - previous) * SMOOTHING;
+}
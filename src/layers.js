@@ -0,0 +1,228 @@
+/**
+ * layers.js
+ *
+ * The character's layer stack
+ *
+ * Responsibilities:
+ * - Keep every layer in one back-to-front stack: the built-in body, eyes,
+ *   brows and mouth plus user layers (back hair, front hair, blush, glasses,
+ *   hats, props) in any order
+ * - Per-layer visibility, opacity and blend mode
+ * - Group layers for motion: "body" layers breathe with the body, "head"
+ *   layers sway with the head
+ * - Bind a layer to a state: shown only in some expressions, only while
+ *   talking or only while silent
+ * - Describe the stack for character manifests and the layer panel
+ *
+ * Each layer is a Container; animation.js puts sprites in them. Bindings are
+ * applied by updateLayerStates() every frame, on top of the layer's own
+ * visibility toggle.
+ */
+
+import { Container } from 'pixi.js';
+
+export const BUILT_IN_LAYERS = ['body', 'eyes', 'brows', 'mouth'];
+export const BLEND_MODES = ['normal', 'add', 'multiply', 'screen'];
+export const MOTION_GROUPS = ['body', 'head'];
+
+const LAYER_NAME = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Properties of a new layer
+ * - showWhen.expressions: expressions the layer is shown in (empty: all)
+ * - showWhen.talking: true shows it only while talking, false only while
+ *   silent, null always
+ */
+const DEFAULT_LAYER = {
+  visible: true,
+  opacity: 1,
+  blendMode: 'normal',
+  follows: 'head',
+  showWhen: { expressions: [], talking: null },
+};
+
+let layerState = {
+  stack: null,          // Container holding every layer, back to front
+  layers: new Map(),    // Name → { name, builtIn, container, visible, opacity, blendMode, follows, showWhen }
+  expression: 'neutral',
+  talking: false,
+};
+
+/**
+ * Create the built-in layers in a stack container
+ * Returns the built-in layer containers by name ({ body, eyes, brows, mouth })
+ */
+export function initLayers(stack) {
+  layerState.stack = stack;
+
+  for (const name of BUILT_IN_LAYERS) {
+    createLayer(name, { follows: name === 'body' ? 'body' : 'head' }, true);
+  }
+
+  return Object.fromEntries(BUILT_IN_LAYERS.map(name => [name, layerState.layers.get(name).container]));
+}
+
+function createLayer(name, properties, builtIn = false) {
+  const container = new Container();
+  container.label = name;
+
+  const layer = { name, builtIn, container, ...structuredClone(DEFAULT_LAYER) };
+  layerState.layers.set(name, layer);
+  layerState.stack.addChild(container);
+  applyLayerProperties(layer, properties);
+  return layer;
+}
+
+/**
+ * Lowercase a typed name into a layer name ("Back Hair" → "back_hair")
+ */
+export function toLayerName(text) {
+  return text.trim().toLowerCase().replace(/[\s.-]+/g, '_').replace(/[^a-z0-9_]/g, '');
+}
+
+/**
+ * Add a user layer in front of the others
+ * Returns { success, name, error }
+ */
+export function addLayer(name, properties = {}) {
+  if (!LAYER_NAME.test(name)) {
+    return { success: false, error: `"${name}" is not a valid layer name (letters, digits and _, starting with a letter)` };
+  }
+  if (layerState.layers.has(name)) {
+    return { success: false, error: `A layer named "${name}" already exists` };
+  }
+
+  createLayer(name, properties);
+  console.log(`🧅 Layer added: ${name}`);
+  return { success: true, name };
+}
+
+/**
+ * Remove a user layer and everything drawn in it
+ * Returns { success, error }
+ */
+export function removeLayer(name) {
+  const layer = layerState.layers.get(name);
+  if (!layer) return { success: false, error: `No layer named "${name}"` };
+  if (layer.builtIn) return { success: false, error: `The ${name} layer is built in` };
+
+  layer.container.destroy({ children: true });
+  layerState.layers.delete(name);
+  console.log(`🗑️ Layer removed: ${name}`);
+  return { success: true };
+}
+
+export function hasLayer(name) {
+  return layerState.layers.has(name);
+}
+
+export function getLayerContainer(name) {
+  return layerState.layers.get(name)?.container || null;
+}
+
+/**
+ * Change any of a layer's properties ({ visible, opacity, blendMode,
+ * follows, showWhen }); invalid values are ignored
+ */
+export function setLayerProperties(name, properties) {
+  const layer = layerState.layers.get(name);
+  if (!layer) {
+    console.warn(`Unknown layer: ${name}`);
+    return;
+  }
+  applyLayerProperties(layer, properties);
+}
+
+function applyLayerProperties(layer, { visible, opacity, blendMode, follows, showWhen } = {}) {
+  if (typeof visible === 'boolean') layer.visible = visible;
+  if (typeof opacity === 'number') layer.opacity = Math.min(1, Math.max(0, opacity));
+  if (BLEND_MODES.includes(blendMode)) layer.blendMode = blendMode;
+  if (MOTION_GROUPS.includes(follows)) layer.follows = follows;
+
+  if (showWhen) {
+    if (Array.isArray(showWhen.expressions)) layer.showWhen.expressions = [...showWhen.expressions];
+    if (showWhen.talking !== undefined) layer.showWhen.talking = typeof showWhen.talking === 'boolean' ? showWhen.talking : null;
+  }
+
+  layer.container.alpha = layer.opacity;
+  layer.container.blendMode = layer.blendMode;
+  layer.container.visible = isLayerShown(layer);
+}
+
+/**
+ * Move a layer one step toward the front (+1) or the back (-1)
+ */
+export function moveLayer(name, step) {
+  const container = getLayerContainer(name);
+  if (!container) return;
+
+  const { stack } = layerState;
+  const index = Math.min(stack.children.length - 1, Math.max(0, stack.getChildIndex(container) + step));
+  stack.setChildIndex(container, index);
+}
+
+/**
+ * Lay out the stack from manifest entries, back to front:
+ * [{ name, visible, opacity, blendMode, follows, showWhen }]
+ * User layers must already exist. Unlisted layers get default properties;
+ * an unlisted body stays at the back and the rest go in front of the listed
+ * layers in their current order
+ */
+export function applyLayerStack(entries) {
+  const listed = entries.filter(entry => layerState.layers.has(entry.name));
+  const listedNames = new Set(listed.map(entry => entry.name));
+
+  for (const layer of layerState.layers.values()) {
+    Object.assign(layer, structuredClone(DEFAULT_LAYER));
+    if (layer.name === 'body') layer.follows = 'body';
+    applyLayerProperties(layer, listed.find(entry => entry.name === layer.name));
+  }
+
+  const unlisted = layerState.stack.children.filter(child => !listedNames.has(child.label));
+  const order = [
+    ...unlisted.filter(child => child.label === 'body'),
+    ...listed.map(entry => getLayerContainer(entry.name)),
+    ...unlisted.filter(child => child.label !== 'body'),
+  ];
+  order.forEach((container, index) => layerState.stack.setChildIndex(container, index));
+}
+
+/**
+ * Every layer back to front: [{ name, builtIn, visible, opacity, blendMode,
+ * follows, showWhen }]
+ */
+export function getLayerStack() {
+  return layerState.stack.children
+    .map(container => layerState.layers.get(container.label))
+    .filter(Boolean)
+    .map(({ container, ...layer }) => structuredClone(layer));
+}
+
+/**
+ * Containers of the layers in a motion group, for motion.js
+ */
+export function getLayerGroup(group) {
+  return Array.from(layerState.layers.values())
+    .filter(layer => layer.follows === group)
+    .map(layer => layer.container);
+}
+
+/**
+ * Show or hide state-bound layers; call every frame
+ */
+export function updateLayerStates({ expression, talking }) {
+  if (expression === layerState.expression && talking === layerState.talking) return;
+
+  layerState.expression = expression;
+  layerState.talking = talking;
+  for (const layer of layerState.layers.values()) {
+    layer.container.visible = isLayerShown(layer);
+  }
+}
+
+function isLayerShown({ visible, showWhen }) {
+  if (!visible) return false;
+  if (showWhen.expressions.length > 0 && !showWhen.expressions.includes(layerState.expression)) return false;
+  if (showWhen.talking !== null && showWhen.talking !== layerState.talking) return false;
+  return true;
+}
@@ -4,8 +4,9 @@
  * Rhubarb Lip Sync WASM integration and phoneme mapping
  * 
  * Responsibilities:
- * - Load and initialize Rhubarb Lip Sync WASM module
- * - Process audio buffers through Rhubarb to extract phoneme timing
+ * - Analyze live windows with the built-in spectral analyzer
+ * - Analyze whole recordings (timeline export) with the Rhubarb Lip Sync WASM
+ *   build when it is deployed
  * - Map Rhubarb phoneme output to animation categories:
  *   * Vowels: A, E, O, U
  *   * Closed-mouth consonants: M, B, P
@@ -14,16 +15,55 @@
  * - Handle phoneme state smoothing and interpolation
  * - Provide current phoneme category for animation system
  * 
- * NOTE: This version includes a Rhubarb mock implementation.
- * For production, download the official Rhubarb WASM build from:
- * https://github.com/DanielSWolf/rhubarb-lip-sync
- * 
- * The mock provides realistic lip sync behavior for testing.
+ * Rhubarb is the rhubarb-lip-sync-wasm 0.1.8 build of
+ * https://github.com/DanielSWolf/rhubarb-lip-sync (see RhubarbWrapper), loaded
+ * from /wasm/ on the first export. It analyzes a whole recording per call and
+ * runs slower than real time, so live windows always use the spectral
+ * analyzer. When the build is missing or fails to load, export falls back to
+ * the spectral analyzer too; getDiagnosticInfo() reports which engine ran.
  */
 
-let rhubarb = null;
+import { analyzeSpectrum } from './spectral.js';
+
+let liveAnalyzer = null; // SpectralAnalyzer, set by initLipSync()
+let rhubarb = null;      // RhubarbWrapper once loaded, false when unavailable
+let rhubarbLoading = null;
 let phonemeHistory = [];
-const SMOOTHING_FACTOR = 0.5; // Blend between new and previous phoneme (0-1)
+
+/**
+ * Viseme state machine: current mouth, when it was entered (ms) and the
+ * candidate currently being held back
+ */
+let visemeState = createVisemeState();
+
+/**
+ * Per-viseme smoothing settings
+ * - minHoldMs: how long the viseme stays before another may replace it
+ * - minConfidence: analyzer confidence needed to switch *to* the viseme
+ */
+const DEFAULT_VISEME_SETTINGS = { minHoldMs: 60, minConfidence: 0.5 };
+
+const VISEME_SETTINGS = {
+  idle: { minHoldMs: 120, minConfidence: 0.6 },
+  a: { minHoldMs: 80, minConfidence: 0.5 },
+  e: { minHoldMs: 80, minConfidence: 0.5 },
+  o: { minHoldMs: 80, minConfidence: 0.5 },
+  u: { minHoldMs: 80, minConfidence: 0.5 },
+  m: { minHoldMs: 50, minConfidence: 0.4 },
+  f: { minHoldMs: 60, minConfidence: 0.5 },
+  closed: { minHoldMs: 50, minConfidence: 0.4 },
+};
+
+/**
+ * Phonemes / Rhubarb shapes that take the fast path to a closed mouth
+ */
+const PLOSIVES = new Set(['P', 'B', 'M', 'K', 'G']);
+const PLOSIVE_SHAPES = new Set(['A']);
+
+/**
+ * Offline analysis yields to the event loop after this many windows
+ */
+const OFFLINE_WINDOWS_PER_YIELD = 500;
 
 /**
  * Phoneme to animation category mapping
@@ -57,134 +97,305 @@ const PHONEME_MAP = {
 };
 
 /**
- * Mock Rhubarb implementation for testing/fallback
- * This simulates phoneme detection based on audio frequency analysis
- */
-class MockRhubarb {
-  analyzeAudio(audioBuffer, sampleRate) {
-    // Simple frequency-based phoneme detection for testing
-    const phonemes = [];
-    
-    // Perform simple frequency analysis on the audio buffer
-    const spectrum = this.analyzeFrequency(audioBuffer);
-    
-    // Detect dominant frequency characteristics
-    const dominantCategory = this.detectPhonemeCategory(spectrum);
-    
-    phonemes.push({
-      phoneme: dominantCategory,
+ * Rhubarb native mouth shape to animation category mapping
+ * See https://github.com/DanielSWolf/rhubarb-lip-sync#mouth-shapes
+ */
+const RHUBARB_SHAPE_MAP = {
+  'A': 'm',      // Closed mouth (M, B, P)
+  'B': 'closed', // Slightly open, clenched teeth (K, S, T, EE)
+  'C': 'e',      // Open mouth (EH, AE)
+  'D': 'a',      // Wide open mouth (AA)
+  'E': 'o',      // Slightly rounded (AO, ER)
+  'F': 'u',      // Puckered lips (UW, OW, W)
+  'G': 'f',      // Upper teeth on lower lip (F, V)
+  'H': 'a',      // Tongue raised (L)
+  'X': 'idle',   // Idle / rest
+};
+
+/**
+ * Animation category to Rhubarb mouth shape, for exporting timelines
+ * produced by the spectral analyzer in Rhubarb formats
+ */
+const CATEGORY_TO_RHUBARB_SHAPE = {
+  a: 'D',
+  e: 'C',
+  o: 'E',
+  u: 'F',
+  m: 'A',
+  f: 'G',
+  closed: 'B',
+  idle: 'X',
+};
+
+/**
+ * Rhubarb mouth shapes
+ */
+export const RHUBARB_SHAPES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'X'];
+
+/**
+ * Reference vowel formants (F1, F2) in Hz, adult average
+ * Peterson & Barney (1952)
+ */
+const VOWEL_FORMANTS = {
+  'A': [730, 1090],
+  'E': [530, 1840],
+  'I': [270, 2290],
+  'O': [570, 840],
+  'U': [300, 870],
+};
+
+/**
+ * Spectral analyzer thresholds
+ */
+const SILENCE_RMS = 0.01;            // Fixed silence threshold when no voice gate runs
+const PLOSIVE_ONSET_RATIO = 4;       // RMS jump from silence that reads as a burst
+const PLOSIVE_MIN_FLATNESS = 0.2;    // Bursts are broadband
+const FRICATIVE_MIN_ZCR = 0.25;      // Noise crosses zero far more than voicing
+const FRICATIVE_MIN_HIGH_RATIO = 0.5;
+const SIBILANT_MIN_AIR_RATIO = 0.6;  // "s" piles up above 4 kHz, "f" is flat
+const NASAL_MIN_LOW_RATIO = 0.75;    // Closed lips trap energy below 500 Hz
+const NASAL_MAX_ZCR = 0.1;
+
+/**
+ * Built-in spectral analyzer, used when the Rhubarb WASM is unavailable
+ * Classifies each window from FFT band energies, spectral centroid,
+ * zero-crossing rate and rough formants. Deterministic: the same audio
+ * always produces the same phonemes.
+ */
+class SpectralAnalyzer {
+  constructor() {
+    this.previousRms = 0;
+  }
+
+  /**
+   * options.gateOpen: the voice gate already decided this is speech, so the
+   * fixed silence threshold is skipped (quiet voices in quiet rooms)
+   */
+  analyzeAudio(audioBuffer, sampleRate, options = {}) {
+    const features = analyzeSpectrum(audioBuffer, sampleRate);
+    const { phoneme, confidence } = this.classify(features, options.gateOpen);
+    this.previousRms = features.rms;
+
+    return [{
+      phoneme,
       start: 0,
       duration: audioBuffer.length / sampleRate,
-    });
-    
-    return phonemes;
+      confidence,
+    }];
   }
 
-  analyzeFrequency(audioBuffer) {
-    // Simple energy-based analysis
-    let energy = 0;
-    let lowFreqEnergy = 0;
-    let highFreqEnergy = 0;
+  /**
+   * Map spectral features to a phoneme and a 0-1 confidence
+   */
+  classify(features, gateOpen = false) {
+    const { rms, zeroCrossingRate, centroid, flatness, bands, f1, f2 } = features;
 
-    for (let i = 0; i < audioBuffer.length; i++) {
-      const sample = audioBuffer[i];
-      energy += sample * sample;
+    // Silence
+    if (!gateOpen && rms < SILENCE_RMS) {
+      return { phoneme: 'rest', confidence: clamp01(1 - rms / SILENCE_RMS) * 0.5 + 0.5 };
+    }
 
-      // Rough approximation of frequency characteristics
-      if (i % 2 === 0) lowFreqEnergy += sample * sample; // "low freq"
-      else highFreqEnergy += sample * sample; // "high freq"
+    // Plosive burst: sudden broadband onset out of silence
+    if (this.previousRms < SILENCE_RMS &&
+        rms > this.previousRms * PLOSIVE_ONSET_RATIO &&
+        flatness > PLOSIVE_MIN_FLATNESS) {
+      return { phoneme: 'P', confidence: clamp01(flatness * 2) };
     }
 
-    energy = Math.sqrt(energy / audioBuffer.length);
+    // Fricatives: noisy and dominated by energy above 2 kHz
+    const highRatio = bands.high + bands.air;
+    if (zeroCrossingRate > FRICATIVE_MIN_ZCR && highRatio > FRICATIVE_MIN_HIGH_RATIO) {
+      return {
+        phoneme: bands.air >= SIBILANT_MIN_AIR_RATIO ? 'S' : 'F',
+        confidence: clamp01(highRatio),
+      };
+    }
 
-    return {
-      energy: energy,
-      lowFreqRatio: lowFreqEnergy / (energy + 1),
-      highFreqRatio: highFreqEnergy / (energy + 1),
-    };
-  }
+    // Nasals / closed lips: voiced energy trapped in the low band
+    if (bands.low > NASAL_MIN_LOW_RATIO && zeroCrossingRate < NASAL_MAX_ZCR) {
+      return { phoneme: 'M', confidence: clamp01(bands.low) };
+    }
 
-  detectPhonemeCategory(spectrum) {
-    // If silent
-    if (spectrum.energy < 0.01) {
-      return 'rest';
+    // Vowels: nearest reference formant pair
+    if (f1 !== null && f2 !== null) {
+      return classifyVowel(f1, f2);
     }
 
-    // Vowels tend to have more low frequency energy
-    if (spectrum.lowFreqRatio > 0.55) {
-      const vowels = ['A', 'E', 'O', 'U'];
-      return vowels[Math.floor(Math.random() * vowels.length)];
+    // Voiced but no clear formant structure
+    return { phoneme: centroid < 1000 ? 'O' : 'A', confidence: 0.3 };
+  }
+
+  reset() {
+    this.previousRms = 0;
+  }
+}
+
+/**
+ * Nearest vowel in log-frequency F1/F2 space
+ * Confidence reflects the margin over the runner-up
+ */
+function classifyVowel(f1, f2) {
+  let best = null;
+  let bestDistance = Infinity;
+  let secondDistance = Infinity;
+
+  for (const [vowel, [refF1, refF2]] of Object.entries(VOWEL_FORMANTS)) {
+    const distance = Math.hypot(Math.log2(f1 / refF1), Math.log2(f2 / refF2));
+    if (distance < bestDistance) {
+      secondDistance = bestDistance;
+      bestDistance = distance;
+      best = vowel;
+    } else if (distance < secondDistance) {
+      secondDistance = distance;
     }
+  }
+
+  const margin = (secondDistance - bestDistance) / (secondDistance + bestDistance + 1e-6);
+  return { phoneme: best, confidence: clamp01(0.5 + margin) };
+}
 
-    // Consonants with teeth visible
-    if (spectrum.highFreqRatio > 0.55) {
-      return Math.random() > 0.5 ? 'F' : 'S';
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Rhubarb Lip Sync as built by the npm package rhubarb-lip-sync-wasm@0.1.8
+ * (MIT): copy its dist/wasm/rhubarb.js, rhubarb.wasm and rhubarb.data into
+ * public/wasm/. rhubarb.js is an Emscripten MODULARIZE factory whose glue
+ * loads rhubarb.wasm and the PocketSphinx models in rhubarb.data and supplies
+ * every import the module needs. The one export used is
+ * embind's
+ *   getLipSync(pcm, dialogText) -> { mouthCues: [{ start, end, value }] }
+ * pcm: bytes of 16-bit little-endian mono PCM at 16 kHz; value: a mouth shape
+ * (A-H, X); times in seconds.
+ */
+const RHUBARB_BUILD = 'rhubarb-lip-sync-wasm@0.1.8';
+const RHUBARB_URL = '/wasm/rhubarb.js';
+const RHUBARB_SAMPLE_RATE = 16000;
+
+class RhubarbWrapper {
+  constructor(module) {
+    if (typeof module.getLipSync !== 'function') {
+      throw new Error(`Rhubarb WASM has no getLipSync export; expected the ${RHUBARB_BUILD} build`);
     }
+    this.module = module;
+  }
 
-    // Closed mouth consonants
-    return Math.random() > 0.5 ? 'M' : 'N';
+  /**
+   * Mouth cues for a whole recording: [{ shape, start, duration }]
+   * Blocks for longer than the audio lasts
+   */
+  analyzeRecording(samples, sampleRate) {
+    const pcm = toPcm16(resample(samples, sampleRate, RHUBARB_SAMPLE_RATE));
+    const { mouthCues } = this.module.getLipSync(new Uint8Array(pcm.buffer), '');
+
+    return mouthCues.map(cue => {
+      if (!RHUBARB_SHAPES.includes(cue.value)) {
+        throw new Error(`Rhubarb returned an unknown mouth shape: ${cue.value}`);
+      }
+      return { shape: cue.value, start: cue.start, duration: cue.end - cue.start };
+    });
+  }
+}
+
+/**
+ * Resample by averaging the input each output sample covers (a crude
+ * low-pass, enough for speech)
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    output[i] = sum / (end - start);
   }
+  return output;
+}
+
+function toPcm16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.max(-1, Math.min(1, samples[i])) * 0x7fff;
+  }
+  return pcm;
 }
 
 /**
- * Initialize Rhubarb Lip Sync
+ * Initialize live lip sync (the built-in spectral analyzer)
+ * Rhubarb isn't used live: it needs whole recordings and runs slower than
+ * real time, so it loads on the first analyzeAudioOffline() instead
  */
 export async function initLipSync() {
-  try {
-    // Attempt to load official Rhubarb WASM
-    // If it fails, fall back to mock implementation
-    rhubarb = await loadRhubarbWasm();
-    
-    if (!rhubarb) {
-      console.info('ℹ️ Using mock Rhubarb implementation (for testing)');
-      rhubarb = new MockRhubarb();
-    } else {
-      console.log('✅ Rhubarb Lip Sync loaded');
-    }
+  liveAnalyzer = new SpectralAnalyzer();
+  return { success: true, engine: 'spectral' };
+}
 
-    return { success: true };
-  } catch (error) {
-    console.warn('Failed to load Rhubarb, using mock:', error);
-    rhubarb = new MockRhubarb();
-    return { success: true, usingMock: true };
+/**
+ * Rhubarb for offline analysis, loaded on first use; false when it isn't
+ * deployed or failed to load (export then uses the spectral analyzer)
+ */
+async function getRhubarb() {
+  if (rhubarb === null) {
+    rhubarbLoading ??= loadRhubarbWasm().catch(error => {
+      console.warn('Failed to load Rhubarb, exporting with the spectral analyzer:', error);
+      return false;
+    });
+    rhubarb = await rhubarbLoading;
   }
+  return rhubarb;
 }
 
 /**
- * Attempt to load official Rhubarb WASM
- * Looks for rhubarb.wasm in public/wasm/
+ * Load the Rhubarb build from /wasm/
+ * Returns false when it is not deployed; throws if it is but doesn't load or
+ * isn't the expected build
  */
 async function loadRhubarbWasm() {
-  try {
-    // This would load the official Rhubarb WASM binary
-    // For now, return null to trigger mock fallback
-    const wasmUrl = '/wasm/rhubarb.wasm';
-    const response = await fetch(wasmUrl);
-    
-    if (!response.ok) {
-      return null;
-    }
-
-    // Uncomment and complete this if you have the official WASM binary:
-    /*
-    const buffer = await response.arrayBuffer();
-    const wasmModule = await WebAssembly.instantiate(buffer);
-    // Initialize and return wrapper
-    return new RhubarbWrapper(wasmModule);
-    */
+  const url = new URL(RHUBARB_URL, location.href).href;
+  let response;
 
-    return null;
+  try {
+    response = await fetch(url, { method: 'HEAD' });
   } catch (error) {
-    return null;
+    return false;
+  }
+
+  // The dev server answers unknown paths with index.html, so check the type too
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || contentType.includes('text/html')) {
+    console.info('ℹ️ Rhubarb WASM not found, exporting with the built-in spectral analyzer');
+    return false;
   }
+
+  // Served as-is from public/, outside the bundle. The glue would look for
+  // rhubarb.data relative to the page (or worker), so point it next to itself
+  const { default: createRhubarb } = await import(/* @vite-ignore */ url);
+  const module = await createRhubarb({
+    locateFile: (path) => new URL(path, url).href,
+    // The build logs every step of every analysis to stderr
+    printErr: (text) => {
+      if (!text.startsWith('[DEBUG]')) console.warn(text);
+    },
+  });
+
+  console.log(`✅ Rhubarb Lip Sync loaded (${RHUBARB_BUILD})`);
+  return new RhubarbWrapper(module);
 }
 
 /**
- * Process a single audio buffer through Rhubarb
+ * Process a single live audio buffer through the spectral analyzer
  * Returns array of phoneme events
+ * Buffers the voice gate marked as non-speech (isSpeech === false) are still
+ * fed to the analyzer to keep its onset tracking continuous, but come back
+ * as rest
  */
 export async function processAudioBuffer(audioBuffer) {
-  if (!rhubarb) return [];
+  if (!liveAnalyzer) return [];
 
   try {
     // Extract float32 data if needed
@@ -194,8 +405,16 @@ export async function processAudioBuffer(audioBuffer) {
 
     const sampleRate = audioBuffer.sampleRate || 16000;
 
-    // Process through Rhubarb
-    const phonemes = rhubarb.analyzeAudio(floatData, sampleRate);
+    const phonemes = liveAnalyzer.analyzeAudio(floatData, sampleRate, { gateOpen: audioBuffer.isSpeech === true });
+
+    if (audioBuffer.isSpeech === false) {
+      return [{
+        phoneme: 'rest',
+        start: 0,
+        duration: floatData.length / sampleRate,
+        confidence: 1,
+      }];
+    }
 
     return phonemes;
   } catch (error) {
@@ -204,40 +423,188 @@ export async function processAudioBuffer(audioBuffer) {
   }
 }
 
+/**
+ * Analyze a whole recording for timeline export, with Rhubarb when it is
+ * deployed, otherwise with the spectral analyzer in fixed windows (faster
+ * than real time)
+ * Uses its own analyzer and smoothing state, so the live pipeline is
+ * untouched. Returns merged cues: { phoneme, shape, category, start, duration }
+ */
+export async function analyzeAudioOffline(samples, sampleRate, options = {}) {
+  const { windowSeconds = 0.04, onProgress = null } = options;
+  const cues = [];
+
+  const engine = await getRhubarb();
+  if (engine) {
+    // One blocking call: Rhubarb reports no progress
+    for (const cue of engine.analyzeRecording(samples, sampleRate)) {
+      appendCue(cues, {
+        phoneme: cue.shape,
+        shape: cue.shape,
+        category: mapPhonemeToCategory(cue),
+        start: cue.start,
+        duration: cue.duration,
+      });
+    }
+    onProgress?.(1);
+    return cues;
+  }
+
+  const analyzer = new SpectralAnalyzer();
+  const state = createVisemeState();
+  const windowSize = Math.max(1, Math.round(windowSeconds * sampleRate));
+
+  for (let offset = 0, windowIndex = 1; offset < samples.length; offset += windowSize, windowIndex++) {
+    const window = samples.subarray(offset, Math.min(samples.length, offset + windowSize));
+    for (const event of analyzer.analyzeAudio(window, sampleRate)) {
+      const start = offset / sampleRate + event.start;
+      const category = advanceVisemeState(state, mapPhonemeToCategory(event), event, start * 1000);
+      appendCue(cues, {
+        phoneme: event.phoneme,
+        shape: CATEGORY_TO_RHUBARB_SHAPE[category],
+        category,
+        start,
+        duration: event.duration,
+      });
+    }
+
+    // Yield now and then so other messages (live windows) get through
+    if (windowIndex % OFFLINE_WINDOWS_PER_YIELD === 0) {
+      onProgress?.(offset / samples.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  onProgress?.(1);
+  return cues;
+}
+
+/**
+ * Append a cue, extending the previous one when the mouth doesn't change
+ */
+function appendCue(cues, cue) {
+  const last = cues[cues.length - 1];
+  if (last && last.category === cue.category && last.shape === cue.shape) {
+    last.duration = cue.start + cue.duration - last.start;
+    return;
+  }
+  cues.push(cue);
+}
+
 /**
  * Get animation category from phoneme with smoothing
- * Applies hysteresis to avoid jittery mouth movements
+ * Runs a deterministic viseme state machine: the current mouth is held for
+ * its minimum hold time and only replaced by a sufficiently confident
+ * candidate, except plosives which close the lips immediately.
+ * `now` (ms) defaults to performance.now(); pass it to step deterministically.
  */
-export function getPhonemeCategory(phoneme) {
+export function getPhonemeCategory(phoneme, now = performance.now()) {
   if (!phoneme) return 'idle';
 
+  const category = advanceVisemeState(visemeState, mapPhonemeToCategory(phoneme), phoneme, now);
+
+  // Keep history for diagnostics
+  phonemeHistory.push(category);
+  if (phonemeHistory.length > 10) {
+    phonemeHistory.shift();
+  }
+
+  return category;
+}
+
+/**
+ * Unsmoothed animation category for a phoneme event
+ * Accepts { phoneme } (e.g. simulatePhonemeSequence output) or { shape }
+ */
+export function mapPhonemeToCategory(phoneme) {
   const phonemeChar = phoneme.phoneme || 'rest';
-  let category = PHONEME_MAP[phonemeChar] || 'closed';
+
+  // Rhubarb cues carry a native mouth shape instead of a phoneme
+  if (phoneme.shape) {
+    return RHUBARB_SHAPE_MAP[phoneme.shape] || 'closed';
+  }
 
   // Convert rest to silence/idle
   if (phonemeChar === 'rest' || phonemeChar === 'silent') {
-    category = 'idle';
+    return 'idle';
   }
 
-  // Apply smoothing
-  const previousCategory = phonemeHistory[phonemeHistory.length - 1];
-  
-  if (previousCategory && previousCategory !== category) {
-    // Only switch if the new phoneme is sufficiently different
-    // This reduces chattering between similar states
-    const shouldSwitch = Math.random() > (1 - SMOOTHING_FACTOR);
-    if (!shouldSwitch) {
-      category = previousCategory;
-    }
+  return PHONEME_MAP[phonemeChar] || 'closed';
+}
+
+/**
+ * since and lastStep are on the clock passed to getPhonemeCategory() (audio
+ * clock or file position), so held times never mix clocks
+ */
+function createVisemeState() {
+  return { current: null, since: 0, lastStep: 0, pending: null };
+}
+
+/**
+ * Step a viseme state machine with a new candidate category
+ */
+function advanceVisemeState(state, candidate, phoneme, now) {
+  const confidence = phoneme.confidence ?? 1;
+  state.lastStep = now;
+
+  // Time went backwards: another clock (mic audio clock vs. file position)
+  // took over, so start fresh rather than holding until it catches up
+  if (state.current === null || now < state.since) {
+    enterViseme(state, candidate, now);
+    return candidate;
   }
 
-  // Keep history for smoothing
-  phonemeHistory.push(category);
-  if (phonemeHistory.length > 10) {
-    phonemeHistory.shift();
+  if (candidate === state.current) {
+    state.pending = null;
+    return state.current;
   }
 
-  return category;
+  // Plosives skip the hold time so the lips visibly close
+  const isPlosive = PLOSIVES.has(phoneme.phoneme) || PLOSIVE_SHAPES.has(phoneme.shape);
+  if (isPlosive && (candidate === 'm' || candidate === 'closed') &&
+      confidence >= getVisemeSettings(candidate).minConfidence) {
+    enterViseme(state, candidate, now);
+    return candidate;
+  }
+
+  const heldMs = now - state.since;
+  const { minHoldMs } = getVisemeSettings(state.current);
+  const { minConfidence } = getVisemeSettings(candidate);
+
+  if (heldMs < minHoldMs || confidence < minConfidence) {
+    state.pending = {
+      to: candidate,
+      confidence,
+      waitingFor: heldMs < minHoldMs ? 'hold' : 'confidence',
+      remainingHoldMs: Math.max(0, minHoldMs - heldMs),
+      requiredConfidence: minConfidence,
+    };
+    return state.current;
+  }
+
+  enterViseme(state, candidate, now);
+  return candidate;
+}
+
+function enterViseme(state, category, now) {
+  state.current = category;
+  state.since = now;
+  state.pending = null;
+}
+
+/**
+ * Hold time and confidence threshold for a viseme
+ */
+export function getVisemeSettings(category) {
+  return { ...DEFAULT_VISEME_SETTINGS, ...VISEME_SETTINGS[category] };
+}
+
+/**
+ * Override hold time / confidence threshold for one viseme
+ * e.g. setVisemeSettings('a', { minHoldMs: 90, minConfidence: 0.4 })
+ */
+export function setVisemeSettings(category, settings) {
+  VISEME_SETTINGS[category] = { ...VISEME_SETTINGS[category], ...settings };
 }
 
 /**
@@ -248,15 +615,47 @@ export function getDiagnosticInfo() {
   return {
     phoneme: currentPhoneme,
     history: phonemeHistory.slice(-5),
-    isUsingMock: rhubarb instanceof MockRhubarb,
+    engine: getEngineName(),
+    exportEngine: getExportEngineName(),
+    ...getVisemeStateInfo(),
   };
 }
 
+/**
+ * The viseme state machine: current viseme, how long it has been held as of
+ * the last analyzed window, and the transition waiting on hold or confidence
+ */
+function getVisemeStateInfo() {
+  return {
+    currentViseme: visemeState.current,
+    visemeHeldMs: visemeState.current === null ? 0 : visemeState.lastStep - visemeState.since,
+    pendingTransition: visemeState.pending && { ...visemeState.pending },
+  };
+}
+
+/**
+ * Human-readable name of the live lip sync engine
+ */
+function getEngineName() {
+  return liveAnalyzer ? 'spectral' : 'none';
+}
+
+/**
+ * Engine analyzeAudioOffline() uses; Rhubarb is only known after an export
+ */
+function getExportEngineName() {
+  if (rhubarb === null) return 'not loaded';
+  return rhubarb ? 'rhubarb-wasm' : 'spectral';
+}
+
 /**
  * Reset phoneme history (useful when stopping audio)
+ * Also restarts the live analyzer so onsets begin afresh
  */
 export function resetPhonemeHistory() {
   phonemeHistory = [];
+  visemeState = createVisemeState();
+  liveAnalyzer?.reset();
 }
 
 /**
@@ -280,9 +679,13 @@ export function simulatePhonemeSequence(phonemes) {
  */
 export function getLipSyncDiagnostics() {
   return {
-    rhubarb: rhubarb ? 'loaded' : 'not loaded',
+    engine: getEngineName(),
+    exportEngine: getExportEngineName(),
     phonemeHistoryLength: phonemeHistory.length,
     lastPhoneme: phonemeHistory[phonemeHistory.length - 1] || null,
-    smoothingFactor: SMOOTHING_FACTOR,
+    ...getVisemeStateInfo(),
+    visemeSettings: Object.fromEntries(
+      Object.keys(VISEME_SETTINGS).map(category => [category, getVisemeSettings(category)])
+    ),
   };
 }
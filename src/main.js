@@ -5,17 +5,28 @@
  * 
  * Responsibilities:
  * - Initialize PixiJS Application with correct canvas settings
- * - Set up the main animation loop (60 FPS via RAF)
- * - Create sprite layers and scene graph
+ * - Set up the main animation loop on the Pixi ticker and animation clock
+ * - Create the layer stack and scene graph
  * - Orchestrate interaction between audio, lipsync, animation, and UI modules
  * - Manage global application state and communication between modules
  * - Handle canvas resizing and responsive behavior
  */
 
-import { Application, Container, Sprite } from 'pixi.js';
-import { initAudio, startMicrophone, stopMicrophone, getAudioLevel } from './audio.js';
-import { initLipSync, processAudioBuffer, getPhonemeCategory } from './lipsync.js';
-import { initAnimation, updateMouthSprite, updateEyeSprite, setEyeState, triggerBlink, loadAssetSprite, loadDefaultAssets } from './animation.js';
+import { Application, Container } from 'pixi.js';
+import { initAudio, startMicrophone, stopMicrophone, updateAudioEnvelope, selectMicrophoneDevice, updateDeviceSettings, setOutputDelay, setMicMonitor, CAPTURE_WINDOW_SECONDS } from './audio.js';
+import { initAnimation, updateMouthSprite, setMouthTransition, updateEyeSprite, setEyeState, triggerBlink, setBlinkSettings, setExpression, updateExpression, loadAssetSprite, resetCharacter, addCharacterLayer, removeCharacterLayer, updateSpriteAnimations, setSpriteAnimation } from './animation.js';
+import { loadAtlas, applyAtlasByName, clearAtlases } from './atlas.js';
+import { initLayers, toLayerName, setLayerProperties, moveLayer, updateLayerStates, getLayerStack } from './layers.js';
+import { readCharacterPackage, loadCharacterPackage, loadDefaultCharacter, exportCharacterPackage } from './character.js';
+import { restoreActiveProfile, loadProfile, createProfile, deleteProfile, setActiveProfile, scheduleProfileSave, flushProfileSave, listProfiles } from './profiles.js';
+import { loadAudioFile, loadSilence, playAudioFile, pauseAudioFile, seekAudioFile, isAudioFilePlaying, getPlaybackPosition, getPlaybackWindow, getDecodedAudio } from './playback.js';
+import { TIMELINE_FORMATS, serializeTimeline, parseTimeline, findCueAt, getTimelineEnd, downloadTextFile, downloadBlob } from './timeline.js';
+import { initAnalysis, takeLatestVisemeResult, analyzePlaybackWindow, setAnalysisPaused, resetAnalysis, configureVad, startNoiseCalibration, getVadState, getAnalysisStats, getAnalysisDiagnosticInfo, setVisemeSettings, analyzeRecording } from './analysis.js';
+import { configureLatency, recordLiveResult, recordAnalysisTime, recordFrame, getLatencyBudget, getAudioDelaySeconds, getLookaheadSeconds } from './latency.js';
+import { initMotion, updateMotion, resetMotionPose, setIdleMotion, setVoiceBounce, getMotionState } from './motion.js';
+import { initEditor, setLayoutEditing, selectLayoutTarget, setLayoutEditorSettings, setTargetLayout, nudgeLayout, undoLayoutEdit, redoLayoutEdit, clearLayoutHistory } from './editor.js';
+import { onClockTick, advanceClock, stepClock, setClockPaused, setTimeScale, getClockState } from './clock.js';
+import { initBackground, setBackground, setBackgroundImage } from './background.js';
 import { initUI } from './ui.js';
 
 /**
@@ -25,10 +36,19 @@ const appState = {
   testMode: 'live',
   isMicEnabled: false,
   isAudioTestMode: false,
+  isPlaybackActive: false,
+  isMicAnalysisPaused: false, // Mic windows only feed the voice gate (muted or file playing)
+  timeline: null, // Imported lip sync cues: { cues, fileName }
+  talkMode: 'always-on', // 'always-on' | 'push-to-talk' | 'toggle-to-talk'
+  isTalking: false, // Talk key held (push-to-talk) or toggled on (toggle-to-talk)
+  latency: null, // Latency budget for the active source, see latency.js
+  voiceLevel: 0, // Mic loudness envelope (0-1) while the mic is live and unmuted
   assets: new Map(),
   phonemeCategory: 'idle',
   currentMouthState: 'idle',
   currentEyeState: 'open',
+  currentExpression: 'neutral',
+  isEditingLayout: false, // Layout editor open: the rig holds its rest pose
 };
 
 /**
@@ -49,7 +69,9 @@ async function initializePixiJS() {
       canvas: canvas,
       width: 1280,
       height: 720,
+      // An alpha canvas, so background.js can switch to transparent at runtime
       backgroundColor: 0x000000,
+      backgroundAlpha: 0,
       antialias: true,
       resolution: window.devicePixelRatio || 1,
       autoDensity: true,
@@ -61,14 +83,9 @@ async function initializePixiJS() {
     const mainContainer = new Container();
     app.stage.addChild(mainContainer);
 
-    // Create layers for z-ordering
-    const layers = {
-      body: new Container(),
-      eyes: new Container(),
-      mouth: new Container(),
-    };
-
-    Object.values(layers).forEach(layer => mainContainer.addChild(layer));
+    // One stack for every layer, back to front; user layers join it later.
+    // Each layer's motion group decides whether it sways with the head
+    const layers = initLayers(mainContainer);
 
     return { app, mainContainer, layers };
   } catch (error) {
@@ -78,107 +95,210 @@ async function initializePixiJS() {
 }
 
 /**
- * Main animation loop
+ * Main animation loop, driven by the Pixi ticker
+ * Lip sync runs on real time every frame; sprite animation runs on the
+ * animation clock, which can be paused, scaled and stepped
  */
-function startAnimationLoop(app, layers, audioProcessor) {
-  function animate() {
-    // Process audio if microphone is enabled
-    if (appState.isMicEnabled && !appState.isAudioTestMode) {
-      // Fire and forget, but don't block animation
-      audioProcessor().catch(error => {
-        console.error('Error in audio processor:', error);
-      });
+function startAnimationLoop(app, layers, audioProcessor, playbackProcessor) {
+  function animate(ticker) {
+    const isFilePlaying = isAudioFilePlaying();
+
+    recordFrame(ticker.deltaMS);
+
+    // Mic loudness drives the voice bounce; muted speech shouldn't move the body
+    const envelope = updateAudioEnvelope();
+    appState.voiceLevel = appState.isMicEnabled && !isMicMuted() ? envelope.level : 0;
+    updateLatencyBudget(isFilePlaying);
+
+    // Playback just paused or finished: let the mouth rest
+    if (appState.isPlaybackActive && !isFilePlaying) {
+      appState.phonemeCategory = 'idle';
+      appState.currentMouthState = 'idle';
+      resetAnalysis();
+    }
+    appState.isPlaybackActive = isFilePlaying;
+
+    // Mic and file share the worker's analyzer, so a playing file pauses the
+    // mic like push-to-talk muting does
+    setMicAnalysisPaused(isFilePlaying || isMicMuted());
+
+    if (isFilePlaying) {
+      // File playback bypasses the microphone path
+      playbackProcessor();
+    } else if (appState.isMicEnabled && !appState.isAudioTestMode) {
+      // Apply the latest result from the analysis worker
+      audioProcessor();
     }
 
+    advanceClock(ticker.deltaMS);
+
+    // Layers bound to an expression or to talking
+    updateLayerStates({
+      expression: appState.currentExpression,
+      talking: appState.phonemeCategory !== 'idle',
+    });
+  }
+
+  onClockTick((deltaSeconds, timeMs) => {
+    // Hold the rig still so the layout editor edits what it shows
+    if (appState.isEditingLayout) return;
+
     // Update mouth animation based on phoneme
-    updateMouthSprite(layers.mouth, appState.phonemeCategory);
+    updateMouthSprite(layers.mouth, appState.phonemeCategory, timeMs);
 
     // Update natural eye blinking
-    updateEyeSprite(layers.eyes);
+    updateEyeSprite(layers.eyes, deltaSeconds);
 
-    requestAnimationFrame(animate);
-  }
+    // Frame sequences (animated visemes, eye states, idle loops)
+    updateSpriteAnimations(deltaSeconds);
 
-  requestAnimationFrame(animate);
+    // Timed expressions revert to neutral
+    appState.currentExpression = updateExpression(deltaSeconds);
+
+    // Breathing, bob and sway, plus the voice bounce
+    updateMotion(deltaSeconds, timeMs, appState.voiceLevel);
+  });
+
+  // Runs before Pixi renders the frame
+  app.ticker.add(animate);
 }
 
 /**
  * Audio processing callback for animation loop
- * Processes buffered audio through Rhubarb for lip sync
+ * Analysis runs in the worker; the render thread only applies the newest
+ * viseme result it has posted
  */
 function createAudioProcessor() {
-  let lastProcessTime = 0;
-  const PROCESS_INTERVAL = 50; // Process every 50ms to avoid overwhelming Rhubarb
-  let isProcessing = false;
-
-  return async function processAudio() {
-    const now = Date.now();
-    
-    // Throttle processing to avoid excessive computation
-    if (now - lastProcessTime < PROCESS_INTERVAL) {
+  let wasMuted = false;
+
+  return function processAudio() {
+    // Muted by push-to-talk / toggle-to-talk (analysis is paused): rest the mouth
+    if (isMicMuted()) {
+      if (!wasMuted) {
+        appState.phonemeCategory = 'idle';
+        appState.currentMouthState = 'idle';
+        wasMuted = true;
+      }
       return;
     }
+    wasMuted = false;
 
-    // Prevent concurrent processing
-    if (isProcessing) {
+    const result = takeLatestVisemeResult();
+    if (!result) {
       return;
     }
 
-    // Check if there's audio to process
-    if (!window.audioBufferQueue || window.audioBufferQueue.length === 0) {
-      return;
-    }
+    recordLiveResult(result);
 
-    isProcessing = true;
-    lastProcessTime = now;
+    // Update global state
+    appState.phonemeCategory = result.category;
+    appState.currentMouthState = result.category;
+  };
+}
 
-    try {
-      // Get the oldest audio buffer (FIFO - first in, first out)
-      const audioBuffer = window.audioBufferQueue.shift();
-      
-      if (!audioBuffer) {
-        return;
-      }
+/**
+ * Refresh the latency budget for the active source and apply the output
+ * delay the compensation mode asks for
+ */
+function updateLatencyBudget(isFilePlaying) {
+  if (isFilePlaying) {
+    const windowMs = appState.timeline ? 0 : PLAYBACK_WINDOW_SECONDS * 1000;
+    appState.latency = getLatencyBudget('file', windowMs);
+  } else {
+    appState.latency = getLatencyBudget('mic', CAPTURE_WINDOW_SECONDS * 1000);
+  }
 
-      // Ensure we have the audio data
-      if (!audioBuffer.data) {
-        console.warn('⚠️ Audio buffer missing data property');
-        return;
-      }
+  setOutputDelay(getAudioDelaySeconds(appState.latency));
+}
 
-      console.log(`🎤 Processing audio buffer: ${audioBuffer.data.length} samples`);
+/**
+ * Pause or resume microphone analysis in the worker when it changes
+ */
+function setMicAnalysisPaused(paused) {
+  if (paused === appState.isMicAnalysisPaused) return;
+  appState.isMicAnalysisPaused = paused;
+  setAnalysisPaused(paused);
+}
 
-      // Send to Rhubarb for lip sync analysis
-      const phonemes = await processAudioBuffer(audioBuffer);
-      
-      if (!phonemes || phonemes.length === 0) {
-        console.warn('⚠️ No phonemes detected');
-        return;
-      }
+/**
+ * Whether the talk mode currently mutes the microphone
+ */
+function isMicMuted() {
+  return appState.talkMode !== 'always-on' && !appState.isTalking;
+}
 
-      // Get the first phoneme (most recent/relevant)
-      const currentPhoneme = phonemes[0];
-      const mouthCategory = getPhonemeCategory(currentPhoneme);
+const PLAYBACK_WINDOW_SECONDS = 0.04; // Analysis window ending at the playhead
 
-      // Update global state
-      appState.phonemeCategory = mouthCategory;
-      appState.currentMouthState = mouthCategory;
+/**
+ * Playback processing callback for animation loop
+ * Uses the imported timeline cue at the current audio-clock position, or
+ * has the analysis worker analyze the decoded file there, so mouth changes
+ * stay locked to what is being heard. In lookahead mode both read ahead by
+ * the measured lag
+ */
+function createPlaybackProcessor() {
+  let lastPosition = -1;
+
+  return function processPlayback() {
+    const position = getPlaybackPosition();
+    const lookahead = getLookaheadSeconds(appState.latency);
+
+    // Pre-baked timelines are already hand-corrected: no analysis, no smoothing
+    if (appState.timeline) {
+      const cue = findCueAt(appState.timeline.cues, position + lookahead);
+      appState.phonemeCategory = cue ? cue.category : 'idle';
+      appState.currentMouthState = appState.phonemeCategory;
+      return;
+    }
 
-      console.log(`🗣️ Phoneme: ${currentPhoneme?.phoneme || 'SILENT'} → Mouth: ${mouthCategory}`);
+    // Nothing new to analyze until the audio clock advances
+    if (position !== lastPosition) {
+      lastPosition = position;
+      const playbackWindow = getPlaybackWindow(PLAYBACK_WINDOW_SECONDS, lookahead);
+      if (playbackWindow) analyzePlaybackWindow(playbackWindow);
+    }
 
-    } catch (error) {
-      console.error('❌ Error processing audio buffer:', error);
-      console.error('Error details:', error.message, error.stack);
-    } finally {
-      isProcessing = false;
+    // The worker drives the viseme state machine from the file position
+    const result = takeLatestVisemeResult('file');
+    if (!result) {
+      return;
     }
+
+    recordAnalysisTime(result.analysisMs);
+    appState.phonemeCategory = result.category;
+    appState.currentMouthState = result.category;
   };
 }
 
+/**
+ * Asset type for an in-between mouth file, e.g. "mouth_a_to_m.png" →
+ * "mouth_a_to_m"; null when the name doesn't follow that pattern
+ */
+function getInBetweenAssetType(fileName) {
+  const match = fileName.toLowerCase().match(/(?:mouth_)?([a-z]+_to_[a-z]+)\.[a-z]+$/);
+  return match ? `mouth_${match[1]}` : null;
+}
+
+/**
+ * Take ownership of a loaded character's object URLs, releasing the previous
+ * character's
+ */
+function replaceAssets(assets) {
+  appState.assets.forEach(asset => URL.revokeObjectURL(asset.url));
+  appState.assets.clear();
+  clearLayoutHistory(); // Undo steps belong to the previous character
+
+  for (const { url, fileName } of assets) {
+    appState.assets.set(fileName, { url, type: 'character', fileName });
+  }
+  document.getElementById('asset-count').textContent = appState.assets.size;
+}
+
 /**
  * Load asset file and categorize it
+ * sourceName is shown in the sprite list (a dropped file's folder path)
  */
-async function loadAssetFile(file, assetType) {
+async function loadAssetFile(file, assetType, sourceName = file.name) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
@@ -190,14 +310,14 @@ async function loadAssetFile(file, assetType) {
         appState.assets.set(assetType, {
           url,
           type: assetType,
-          fileName: file.name,
+          fileName: sourceName,
         });
 
         // Update asset count in UI
         document.getElementById('asset-count').textContent = appState.assets.size;
         
         // Immediately load the sprite
-        await loadAssetSprite(assetType, url);
+        await loadAssetSprite(assetType, url, sourceName);
         console.log(`✅ Sprite loaded: ${assetType}`);
         
         resolve();
@@ -227,23 +347,35 @@ async function main() {
     const audioState = await initAudio();
     console.log('✅ Audio system initialized');
 
-    // Initialize lip sync (Rhubarb WASM)
-    const lipSyncState = await initLipSync();
-    console.log('✅ Lip sync system initialized');
+    // Start the analysis worker; it analyzes the microphone and file
+    // playback off the render thread, and loads Rhubarb for timeline export
+    const analysisState = await initAnalysis();
+    console.log(`✅ Live analysis initialized (${analysisState.inWorker ? 'worker' : 'main thread'})`);
 
     // Initialize animation system
     await initAnimation(layers);
+    initMotion({ character: mainContainer });
+    initEditor(app, { onChange: scheduleProfileSave });
+    initBackground(app);
     console.log('✅ Animation system initialized');
 
-    // Load default assets from assets folder
-    await loadDefaultAssets('/assets');
-    console.log('✅ Default assets loaded');
+    // Restore the last profile; without one, load the assets folder
+    // (character.json there if present)
+    const restored = await restoreActiveProfile();
+    if (restored.success) {
+      replaceAssets(restored.assets);
+      console.log(`✅ Profile restored: ${restored.profile}`);
+    } else {
+      await loadDefaultCharacter('/assets');
+      console.log('✅ Default assets loaded');
+    }
 
-    // Create audio processor
+    // Create audio processors
     const audioProcessor = createAudioProcessor();
+    const playbackProcessor = createPlaybackProcessor();
 
     // Start animation loop
-    startAnimationLoop(app, layers, audioProcessor);
+    startAnimationLoop(app, layers, audioProcessor, playbackProcessor);
     console.log('✅ Animation loop started');
 
     // Initialize UI and set up event handlers
@@ -263,6 +395,7 @@ async function main() {
           }
         } else {
           await stopMicrophone();
+          resetAnalysis();
           appState.isMicEnabled = false;
           console.log('🛑 Microphone stopped');
           return true;
@@ -291,35 +424,331 @@ async function main() {
         console.log(`📋 Test mode changed to: ${newMode}`);
       },
 
-      onLoadAsset: async (files, assetType) => {
+      onMicDeviceChange: async (deviceId) => {
+        const result = await selectMicrophoneDevice(deviceId);
+        if (!result.success) {
+          console.error('❌ Could not switch microphone:', result.error);
+          appState.isMicEnabled = false;
+        }
+        return result;
+      },
+
+      onMicSettingsChange: async (deviceId, settings) => {
+        const result = await updateDeviceSettings(deviceId, settings);
+        if (!result.success) {
+          console.error('❌ Could not apply microphone settings:', result.error);
+          appState.isMicEnabled = false;
+        }
+        return result;
+      },
+
+      onTalkModeChange: (mode) => {
+        appState.talkMode = mode;
+        appState.isTalking = false;
+        console.log(`🎙️ Talk mode: ${mode}`);
+      },
+
+      onTalkChange: (isTalking) => {
+        appState.isTalking = isTalking;
+      },
+
+      isMicMuted,
+
+      onLatencyModeChange: (mode) => {
+        configureLatency({ mode });
+        console.log(`⏱️ Latency compensation: ${mode}`);
+      },
+
+      onLatencyOffsetChange: (extraAudioMs) => {
+        configureLatency({ extraAudioMs });
+      },
+
+      onMicMonitorToggle: (enabled) => {
+        setMicMonitor(enabled);
+      },
+
+      onVadModeChange: (mode) => {
+        configureVad({ mode });
+        console.log(`🔇 Noise gate: ${mode}`);
+      },
+
+      onVadCalibrate: async () => {
+        if (!appState.isMicEnabled) {
+          return { success: false, error: 'Enable the microphone first' };
+        }
+        try {
+          const noiseFloorDb = await startNoiseCalibration(3000);
+          return { success: true, noiseFloorDb };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      },
+
+      onAudioFileLoad: async (file) => {
+        const result = await loadAudioFile(file);
+        if (!result.success) {
+          console.error('❌ Could not load audio file:', result.error);
+        }
+        return result;
+      },
+
+      onPlaybackToggle: async () => {
+        if (isAudioFilePlaying()) {
+          pauseAudioFile();
+          return false;
+        }
+        // Timestamps restart from the playhead, so drop stale smoothing state
+        resetAnalysis();
+        return playAudioFile();
+      },
+
+      onPlaybackSeek: async (seconds) => {
+        resetAnalysis();
+        await seekAudioFile(seconds);
+      },
+
+      onTimelineLoad: async (file, fps) => {
+        try {
+          const cues = parseTimeline(await file.text(), { fps });
+          appState.timeline = { cues, fileName: file.name };
+
+          // Without audio, play the timeline against silence of the same length
+          let playback = null;
+          if (!getDecodedAudio()) {
+            playback = loadSilence(getTimelineEnd(cues), `${file.name} (no audio)`);
+          }
+
+          console.log(`📥 Timeline loaded: ${file.name} (${cues.length} cues)`);
+          return { success: true, cueCount: cues.length, duration: getTimelineEnd(cues), playback };
+        } catch (error) {
+          console.error('❌ Could not load timeline:', error);
+          return { success: false, error: error.message };
+        }
+      },
+
+      onTimelineClear: () => {
+        appState.timeline = null;
+        console.log('🗑️ Timeline cleared');
+      },
+
+      onTimelineExport: async (format, onProgress, fps) => {
+        const audio = getDecodedAudio();
+        if (!audio) {
+          return { success: false, error: 'Load an audio file first' };
+        }
+
+        const started = performance.now();
+        const cues = await analyzeRecording(audio.data, audio.sampleRate, { onProgress });
+        const elapsed = (performance.now() - started) / 1000;
+
+        const { extension, mimeType } = TIMELINE_FORMATS[format];
+        const baseName = audio.fileName.replace(/\.[^.]+$/, '');
+        const content = serializeTimeline(cues, format, { soundFile: audio.fileName, duration: audio.duration, fps });
+        downloadTextFile(content, `${baseName}.${extension}`, mimeType);
+
+        console.log(`📤 Exported ${cues.length} cues as ${format} (${(audio.duration / elapsed).toFixed(1)}x real time)`);
+        return { success: true, cueCount: cues.length };
+      },
+
+      onLoadAsset: async (files, assetType, expression = 'neutral') => {
         for (const file of files) {
-          await loadAssetFile(file, assetType);
+          // In-betweens are named by their file: mouth_a_to_m.png
+          const type = assetType === 'mouth_inbetween' ? getInBetweenAssetType(file.name) : assetType;
+          if (!type) {
+            throw new Error(`${file.name} is not named like mouth_a_to_m.png`);
+          }
+          // Expression sprites are typed with a prefix: happy_mouth_a
+          await loadAssetFile(file, expression === 'neutral' ? type : `${expression}_${type}`);
         }
+        scheduleProfileSave();
         console.log(`📦 Loaded ${files.length} asset(s)`);
       },
 
+      onLoadAssetBatch: async (assets) => {
+        // Each file already typed, by name or in the assignment dialog
+        for (const { file, path, assetType } of assets) {
+          await loadAssetFile(file, assetType, path);
+        }
+        scheduleProfileSave();
+        console.log(`📦 Loaded ${assets.length} asset(s)`);
+      },
+
+      onLoadAtlas: async ({ path, json, image }) => {
+        const url = URL.createObjectURL(image.file);
+        const previous = appState.assets.get(`atlas:${path}`);
+        if (previous) URL.revokeObjectURL(previous.url);
+        appState.assets.set(`atlas:${path}`, { url, type: 'atlas', fileName: image.path });
+        document.getElementById('asset-count').textContent = appState.assets.size;
+
+        const result = await loadAtlas(path, json, url);
+        if (!result.success) return result;
+
+        // Frames and sequences fill the sprites they're named like
+        const layerNames = getLayerStack().filter(layer => !layer.builtIn).map(layer => layer.name);
+        const { assigned, unmatched } = applyAtlasByName(result.atlas, layerNames);
+        if (assigned.length > 0) scheduleProfileSave();
+        console.log(`🗺️ Atlas ${path} filled ${assigned.length} sprite(s)`);
+        return { success: true, assigned, unmatched };
+      },
+
+      onSpriteAnimationChange: (assetType, settings) => {
+        setSpriteAnimation(assetType, settings);
+        scheduleProfileSave();
+      },
+
+      onImportCharacter: async (files) => {
+        const pkg = await readCharacterPackage(files);
+        if (!pkg.success) return pkg;
+
+        // The new character replaces every loaded sprite and gets its own profile
+        await flushProfileSave();
+        const result = await loadCharacterPackage(pkg);
+        replaceAssets(result.assets);
+        const saved = await createProfile(result.name);
+
+        return { ...result, profile: saved.profile, warnings: pkg.warnings };
+      },
+
+      onProfileSwitch: async (name) => {
+        if (!name) {
+          // Back to the assets folder; the next change starts a new profile
+          await flushProfileSave();
+          setActiveProfile(null);
+          resetCharacter();
+          clearAtlases();
+          const result = await loadDefaultCharacter('/assets');
+          replaceAssets([]);
+          return { success: result.success, profile: null };
+        }
+
+        const result = await loadProfile(name);
+        if (result.success) {
+          replaceAssets(result.assets);
+        }
+        return result;
+      },
+
+      onProfileCreate: (name) => createProfile(name),
+
+      onProfileDelete: async (name) => {
+        const result = await deleteProfile(name);
+        return { ...result, profiles: await listProfiles() };
+      },
+
+      onExportCharacter: async () => {
+        const result = await exportCharacterPackage();
+        if (result.success) {
+          downloadBlob(result.blob, result.fileName);
+        }
+        return result;
+      },
+
       onClearAssets: () => {
-        appState.assets.forEach(asset => URL.revokeObjectURL(asset.url));
-        appState.assets.clear();
-        document.getElementById('asset-count').textContent = '0';
+        resetCharacter();
+        clearAtlases();
+        replaceAssets([]);
+        scheduleProfileSave();
         console.log('🗑️ All assets cleared');
       },
 
       onMouthChange: (mouthType) => {
-        // For manual testing
-        updateMouthSprite(layers.mouth, mouthType);
+        // For manual testing; the animation loop plays the transition
+        appState.phonemeCategory = mouthType;
         appState.currentMouthState = mouthType;
         console.log(`👄 Mouth changed to: ${mouthType}`);
       },
 
-      onEyeOpen: () => {
-        setEyeState(layers.eyes, 'open');
-        appState.currentEyeState = 'open';
+      onLayerAdd: (name) => {
+        const result = addCharacterLayer(toLayerName(name));
+        if (result.success) scheduleProfileSave();
+        return result;
+      },
+
+      onLayerRemove: (name) => {
+        const result = removeCharacterLayer(name);
+        if (result.success) {
+          clearLayoutHistory(); // Undo steps may move the removed sprite
+          scheduleProfileSave();
+        }
+        return result;
+      },
+
+      onLayerMove: (name, step) => {
+        moveLayer(name, step);
+        scheduleProfileSave();
+      },
+
+      onLayerChange: (name, properties) => {
+        setLayerProperties(name, properties);
+        scheduleProfileSave();
+      },
+
+      onBackgroundChange: (settings) => {
+        setBackground(settings);
+      },
+
+      onBackgroundImage: (file) => setBackgroundImage(file),
+
+      onLayoutEditToggle: (enabled) => {
+        appState.isEditingLayout = enabled;
+        if (enabled) resetMotionPose();
+        setLayoutEditing(enabled);
+        console.log(`📐 Layout editor ${enabled ? 'on' : 'off'}`);
+      },
+
+      onLayoutTargetChange: (target) => {
+        selectLayoutTarget(target);
+      },
+
+      onLayoutInput: (layout) => {
+        setTargetLayout(layout);
+      },
+
+      onLayoutNudge: (dx, dy) => {
+        nudgeLayout(dx, dy);
       },
 
-      onEyeClosed: () => {
-        setEyeState(layers.eyes, 'closed');
-        appState.currentEyeState = 'closed';
+      onLayoutUndo: () => undoLayoutEdit(),
+
+      onLayoutRedo: () => redoLayoutEdit(),
+
+      onLayoutEditorSettingsChange: (settings) => {
+        setLayoutEditorSettings(settings);
+      },
+
+      onMouthTransitionChange: (settings) => {
+        setMouthTransition(settings);
+        scheduleProfileSave();
+      },
+
+      onVisemeSettingsChange: (category, settings) => {
+        setVisemeSettings(category, settings);
+      },
+
+      onIdleMotionChange: (settings) => {
+        setIdleMotion(settings);
+        scheduleProfileSave();
+      },
+
+      onVoiceBounceChange: (settings) => {
+        setVoiceBounce(settings);
+        scheduleProfileSave();
+      },
+
+      onExpressionChange: (expression, revertAfter = 0) => {
+        setExpression(expression, { revertAfter });
+        appState.currentExpression = expression;
+        console.log(`🎭 Expression: ${expression}${revertAfter > 0 ? ` (reverts in ${revertAfter}s)` : ''}`);
+      },
+
+      onEyeStateChange: (eyeState) => {
+        setEyeState(layers.eyes, eyeState);
+        appState.currentEyeState = eyeState;
+      },
+
+      onBlinkSettingsChange: (settings) => {
+        setBlinkSettings(settings);
+        scheduleProfileSave();
       },
 
       onEyeBlink: () => {
@@ -358,14 +787,36 @@ window.appState = appState;
 window.getLipSyncDiagnostics = function() {
   return {
     micEnabled: appState.isMicEnabled,
+    talkMode: appState.talkMode,
+    micMuted: isMicMuted(),
     audioTestMode: appState.isAudioTestMode,
+    playbackActive: appState.isPlaybackActive,
+    timeline: appState.timeline ? `${appState.timeline.fileName} (${appState.timeline.cues.length} cues)` : null,
     currentPhoneme: appState.phonemeCategory,
     currentMouthState: appState.currentMouthState,
-    audioBuffersQueued: window.audioBufferQueue?.length || 0,
+    currentExpression: appState.currentExpression,
+    liveAnalysis: getAnalysisStats(),
+    latency: appState.latency,
+    motion: { voiceLevel: appState.voiceLevel, ...getMotionState() },
     audioContextState: window.audioContext?.state,
+    // The worker's state machine: the one live and file analysis step
+    lipSync: getAnalysisDiagnosticInfo(),
+    voiceGate: getVadState(),
   };
 };
 
+/**
+ * Animation clock controls
+ * Call in console: window.animationClock.pause(); window.animationClock.step(16.7)
+ */
+window.animationClock = {
+  pause: () => setClockPaused(true),
+  resume: () => setClockPaused(false),
+  step: (deltaMs) => stepClock(deltaMs),
+  setTimeScale: (scale) => setTimeScale(scale),
+  getState: () => getClockState(),
+};
+
 /**
  * Force a mouth test
  * Call in console: window.testMouthAnimation('a')
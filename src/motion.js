@@ -0,0 +1,237 @@
+/**
+ * motion.js
+ *
+ * Procedural motion for the character rig
+ *
+ * Responsibilities:
+ * - Idle motion:
+ *   * Breathe: scale the body layers on a slow sine, anchored at their base
+ *   * Bob: move the whole character up and down
+ *   * Sway: rotate the head layers (eyes, brows, mouth, hair...) around the
+ *     neck
+ * - Voice bounce: drive a damped spring from mic loudness that lifts the body
+ *   and head, with squash and stretch from the spring's velocity
+ * - Give each effect its own settings, and return to the rest pose when
+ *   effects are turned off
+ *
+ * Idle motion is a pure function of animation time and the spring steps with
+ * clock deltas, so pausing or stepping the animation clock freezes or steps
+ * both exactly. Which layers count as body or head is up to each layer's
+ * motion group (see layers.js).
+ */
+
+import { getLayerGroup } from './layers.js';
+
+const BODY_PIVOT = { x: 640, y: 720 }; // Bottom center of the canvas; breathing grows upward
+const NECK_PIVOT = { x: 640, y: 560 }; // Between mouth and body; sway swings the head from here
+
+const SPRING_FREQUENCY = 4;  // Hz; how snappy the bounce is
+const MAX_SPRING_STEP = 1 / 120; // Seconds; sub-step long frames so the spring stays stable
+const HEAD_FOLLOW = 1.2;     // The head travels a little further than the body
+
+/**
+ * Amplitudes: breathing in scale fraction, bob in pixels, sway in degrees
+ * Periods in seconds
+ */
+export const DEFAULT_IDLE_MOTION = {
+  enabled: true,
+  breathing: { amplitude: 0.015, period: 4 },
+  bob: { amplitude: 4, period: 4 },
+  sway: { amplitude: 1.5, period: 7 },
+};
+
+/**
+ * sensitivity: loudness multiplier before the 0-1 clamp
+ * maxDisplacement: lift at full loudness (pixels)
+ * squash: scale change at full spring speed (fraction)
+ * decay: seconds for the bounce to settle after the voice stops
+ */
+export const DEFAULT_VOICE_BOUNCE = {
+  enabled: true,
+  sensitivity: 1.5,
+  maxDisplacement: 12,
+  squash: 0.06,
+  decay: 0.25,
+};
+
+let motionState = {
+  settings: cloneIdleSettings(DEFAULT_IDLE_MOTION),
+  bounce: { ...DEFAULT_VOICE_BOUNCE },
+  spring: { position: 0, velocity: 0 }, // Lift in pixels (positive = up)
+  character: null, // Container holding every layer
+  restY: 0,        // Character position without bob
+};
+
+/**
+ * Attach motion to the character container
+ */
+export function initMotion({ character }) {
+  motionState.character = character;
+  motionState.restY = character.position.y;
+
+  console.log('✅ Character motion initialized');
+}
+
+/**
+ * Apply idle motion and voice bounce for one clock tick
+ * voiceLevel is mic loudness (0-1); pass 0 when muted or off
+ */
+export function updateMotion(deltaSeconds, timeMs, voiceLevel = 0) {
+  const { settings, character, restY } = motionState;
+  if (!character) return;
+
+  const seconds = timeMs / 1000;
+  const idle = settings.enabled;
+  const breath = idle ? wave(seconds, settings.breathing) : 0;
+  const bob = idle ? wave(seconds, settings.bob) : 0;
+  const sway = idle ? wave(seconds, settings.sway) : 0;
+
+  const { lift, stretch } = stepBounce(deltaSeconds, voiceLevel);
+
+  // Breathing mostly lifts the chest; a little width keeps it from looking stretched.
+  // Stretch keeps volume: taller is narrower
+  poseGroup('body', BODY_PIVOT, {
+    scaleX: (1 + breath * 0.3) * (1 - stretch * 0.5),
+    scaleY: (1 + breath) * (1 + stretch),
+    lift,
+    rotation: 0,
+  });
+
+  poseGroup('head', NECK_PIVOT, {
+    scaleX: 1 - stretch * 0.5,
+    scaleY: 1 + stretch,
+    lift: lift * HEAD_FOLLOW,
+    rotation: sway * Math.PI / 180,
+  });
+
+  character.position.y = restY + bob;
+}
+
+/**
+ * Put the rig back in its rest pose and stop the bounce (e.g. while the
+ * layout editor needs canvas and sprite coordinates to match)
+ */
+export function resetMotionPose() {
+  const { character, restY, spring } = motionState;
+  if (!character) return;
+
+  spring.position = 0;
+  spring.velocity = 0;
+
+  const rest = { scaleX: 1, scaleY: 1, lift: 0, rotation: 0 };
+  poseGroup('body', BODY_PIVOT, rest);
+  poseGroup('head', NECK_PIVOT, rest);
+  character.position.y = restY;
+}
+
+/**
+ * Transform every layer in a motion group around a shared pivot, so the
+ * group moves as one piece (a layer that changes group picks up its new
+ * pose on the next tick)
+ */
+function poseGroup(group, pivot, { scaleX, scaleY, lift, rotation }) {
+  for (const layer of getLayerGroup(group)) {
+    layer.pivot.set(pivot.x, pivot.y);
+    layer.position.set(pivot.x, pivot.y - lift);
+    layer.scale.set(scaleX, scaleY);
+    layer.rotation = rotation;
+  }
+}
+
+/**
+ * Sine of the given amplitude and period; 0 when either is off
+ */
+function wave(seconds, { amplitude, period }) {
+  if (!(amplitude > 0) || !(period > 0)) return 0;
+  return amplitude * Math.sin((2 * Math.PI * seconds) / period);
+}
+
+/**
+ * Advance the bounce spring toward the lift the voice asks for
+ * Returns lift in pixels and stretch (positive = taller) as a scale fraction
+ */
+function stepBounce(deltaSeconds, voiceLevel) {
+  const { bounce, spring } = motionState;
+  const maxDisplacement = Math.max(0, bounce.maxDisplacement);
+  const drive = bounce.enabled ? Math.min(1, Math.max(0, voiceLevel * bounce.sensitivity)) : 0;
+  const target = drive * maxDisplacement;
+
+  // Damping sets how fast oscillation dies out: amplitude ~ e^(-t / decay)
+  const stiffness = (2 * Math.PI * SPRING_FREQUENCY) ** 2;
+  const damping = 2 / Math.max(0.01, bounce.decay);
+
+  let remaining = Math.max(0, deltaSeconds);
+  while (remaining > 0) {
+    const step = Math.min(remaining, MAX_SPRING_STEP);
+    const acceleration = -stiffness * (spring.position - target) - damping * spring.velocity;
+    spring.velocity += acceleration * step;
+    spring.position += spring.velocity * step;
+    remaining -= step;
+  }
+
+  // Hard limit so a loud pop can't overshoot far past the max
+  spring.position = Math.min(maxDisplacement * 1.5, Math.max(-maxDisplacement * 0.5, spring.position));
+
+  // Rising stretches, falling and landing squash
+  const topSpeed = maxDisplacement * 2 * Math.PI * SPRING_FREQUENCY;
+  const stretch = topSpeed > 0
+    ? Math.min(1, Math.max(-1, spring.velocity / topSpeed)) * bounce.squash
+    : 0;
+
+  return { lift: spring.position, stretch };
+}
+
+/**
+ * Update idle motion settings
+ * Accepts any subset, including a subset of one effect:
+ * setIdleMotion({ sway: { amplitude: 3 } })
+ */
+export function setIdleMotion(settings) {
+  const current = motionState.settings;
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in current)) {
+      console.warn(`Unknown idle motion setting: ${key}`);
+    } else if (typeof current[key] === 'object') {
+      current[key] = { ...current[key], ...value };
+    } else {
+      current[key] = value;
+    }
+  }
+}
+
+export function getIdleMotion() {
+  return cloneIdleSettings(motionState.settings);
+}
+
+/**
+ * Update voice bounce settings (any subset of DEFAULT_VOICE_BOUNCE)
+ */
+export function setVoiceBounce(settings) {
+  motionState.bounce = { ...motionState.bounce, ...settings };
+}
+
+export function getVoiceBounce() {
+  return { ...motionState.bounce };
+}
+
+/**
+ * Current spring state, for diagnostics
+ */
+export function getMotionState() {
+  return {
+    idle: getIdleMotion(),
+    bounce: getVoiceBounce(),
+    lift: motionState.spring.position,
+    velocity: motionState.spring.velocity,
+  };
+}
+
+function cloneIdleSettings(settings) {
+  return {
+    enabled: settings.enabled,
+    breathing: { ...settings.breathing },
+    bob: { ...settings.bob },
+    sway: { ...settings.sway },
+  };
+}
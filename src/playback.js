@@ -0,0 +1,233 @@
+/**
+ * playback.js
+ *
+ * Audio file playback for pre-recorded voice lines
+ *
+ * Responsibilities:
+ * - Decode WAV/MP3/OGG files with the shared AudioContext
+ * - Play, pause and seek the decoded audio
+ * - Report the playback position from the audio clock
+ * - Provide PCM windows aligned to the playback position for lip sync
+ * - Expose the decoded PCM for offline timeline analysis
+ */
+
+import { getAudioContext, getAudioOutput } from './audio.js';
+
+let decodedBuffer = null;
+let monoData = null;
+let sourceNode = null;
+let fileName = null;
+let isSilence = false; // Clock-only buffer for timelines without audio
+let isPlaying = false;
+let startedAt = 0;   // AudioContext time when the current source started
+let startOffset = 0; // Position in the file (s) at startedAt
+
+/**
+ * Decode an audio file into the shared AudioContext
+ * The context runs at 16kHz, so the decoded PCM is already at analysis rate
+ */
+export async function loadAudioFile(file) {
+  const audioContext = getAudioContext();
+  if (!audioContext) {
+    return { success: false, error: 'AudioContext not initialized' };
+  }
+
+  try {
+    stopPlayback();
+
+    const arrayBuffer = await file.arrayBuffer();
+    decodedBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    monoData = mixToMono(decodedBuffer);
+    fileName = file.name;
+    isSilence = false;
+    startOffset = 0;
+
+    console.log(`🎵 Audio file decoded: ${file.name} (${decodedBuffer.duration.toFixed(2)}s)`);
+    return { success: true, duration: decodedBuffer.duration, fileName };
+  } catch (error) {
+    console.error('Failed to decode audio file:', error);
+    decodedBuffer = null;
+    monoData = null;
+    fileName = null;
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load silence of the given length as the playback clock
+ * Lets imported timelines play, pause and seek without their audio
+ */
+export function loadSilence(duration, label) {
+  const audioContext = getAudioContext();
+  if (!audioContext) {
+    return { success: false, error: 'AudioContext not initialized' };
+  }
+
+  stopPlayback();
+
+  const length = Math.max(1, Math.ceil(duration * audioContext.sampleRate));
+  decodedBuffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+  monoData = decodedBuffer.getChannelData(0);
+  fileName = label;
+  isSilence = true;
+  startOffset = 0;
+
+  return { success: true, duration: decodedBuffer.duration, fileName, isSilence: true };
+}
+
+/**
+ * Average all channels into one Float32Array
+ */
+function mixToMono(buffer) {
+  if (buffer.numberOfChannels === 1) {
+    return buffer.getChannelData(0);
+  }
+
+  const mono = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Start (or resume) playback from the current position
+ */
+export async function playAudioFile() {
+  const audioContext = getAudioContext();
+  if (!decodedBuffer || isPlaying) return isPlaying;
+
+  // Autoplay policy may have left the context suspended
+  if (audioContext.state === 'suspended') {
+    await audioContext.resume();
+  }
+
+  if (startOffset >= decodedBuffer.duration) {
+    startOffset = 0;
+  }
+
+  const node = audioContext.createBufferSource();
+  node.buffer = decodedBuffer;
+  node.connect(getAudioOutput());
+  node.onended = () => {
+    // Ignore sources we stopped ourselves for pause/seek
+    if (sourceNode !== node) return;
+    sourceNode = null;
+    isPlaying = false;
+    startOffset = decodedBuffer ? decodedBuffer.duration : 0;
+    console.log('🎵 Playback finished');
+  };
+
+  node.start(0, startOffset);
+  sourceNode = node;
+  startedAt = audioContext.currentTime;
+  isPlaying = true;
+
+  return true;
+}
+
+/**
+ * Pause playback, keeping the position
+ */
+export function pauseAudioFile() {
+  if (!isPlaying) return;
+  startOffset = getPlaybackPosition();
+  stopPlayback();
+}
+
+/**
+ * Jump to a position in seconds, continuing playback if it was playing
+ */
+export async function seekAudioFile(seconds) {
+  if (!decodedBuffer) return;
+
+  const wasPlaying = isPlaying;
+  stopPlayback();
+  startOffset = Math.min(Math.max(0, seconds), decodedBuffer.duration);
+
+  if (wasPlaying) {
+    await playAudioFile();
+  }
+}
+
+/**
+ * Stop the current source node without touching the position
+ */
+function stopPlayback() {
+  if (sourceNode) {
+    const node = sourceNode;
+    sourceNode = null;
+    node.stop();
+    node.disconnect();
+  }
+  isPlaying = false;
+}
+
+/**
+ * Current playback position in seconds, derived from the audio clock
+ */
+export function getPlaybackPosition() {
+  if (!decodedBuffer) return 0;
+  if (!isPlaying) return startOffset;
+
+  const elapsed = getAudioContext().currentTime - startedAt;
+  return Math.min(startOffset + elapsed, decodedBuffer.duration);
+}
+
+/**
+ * PCM window ending at the current playback position (plus lookahead, s)
+ * Shaped like a capture buffer so it can go straight to processAudioBuffer()
+ */
+export function getPlaybackWindow(windowSeconds, lookaheadSeconds = 0) {
+  if (!monoData) return null;
+
+  const sampleRate = decodedBuffer.sampleRate;
+  const position = Math.min(Math.max(0, getPlaybackPosition() + lookaheadSeconds), decodedBuffer.duration);
+  const end = Math.round(position * sampleRate);
+  const start = Math.max(0, end - Math.round(windowSeconds * sampleRate));
+  if (end <= start) return null;
+
+  return {
+    data: monoData.subarray(start, end),
+    timestamp: end / sampleRate,
+    sampleRate,
+  };
+}
+
+/**
+ * Decoded mono PCM of the loaded file, for offline analysis
+ * Returns null when nothing (or only a silent timeline clock) is loaded
+ */
+export function getDecodedAudio() {
+  if (!monoData || isSilence) return null;
+
+  return {
+    data: monoData,
+    sampleRate: decodedBuffer.sampleRate,
+    duration: decodedBuffer.duration,
+    fileName,
+  };
+}
+
+/**
+ * Check if an audio file is currently playing
+ */
+export function isAudioFilePlaying() {
+  return isPlaying;
+}
+
+/**
+ * Get playback state for the UI
+ */
+export function getPlaybackState() {
+  return {
+    loaded: decodedBuffer !== null,
+    fileName,
+    isPlaying,
+    position: getPlaybackPosition(),
+    duration: decodedBuffer ? decodedBuffer.duration : 0,
+  };
+}
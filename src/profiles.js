@@ -0,0 +1,304 @@
+/**
+ * profiles.js
+ *
+ * Named character profiles saved in IndexedDB
+ *
+ * Responsibilities:
+ * - Save the loaded character (images, layout, visemes, expressions) and its
+ *   animation settings as a named profile
+ * - Save changes automatically to the active profile, creating one on the
+ *   first change
+ * - Restore the active profile at startup
+ * - List, switch and delete profiles
+ *
+ * A profile stores the same manifest and images as an exported character
+ * package (see character.js), so a profile and a .zip hold the same data.
+ * The active profile's name is kept in localStorage.
+ */
+
+import { collectCharacterPackage, loadCharacterPackage, parseManifest, getCharacterName } from './character.js';
+import { getBlinkSettings, setBlinkSettings, getMouthTransition, setMouthTransition } from './animation.js';
+import { getIdleMotion, setIdleMotion, getVoiceBounce, setVoiceBounce } from './motion.js';
+
+const DB_NAME = 'vtuber-animator';
+const DB_VERSION = 1;
+const PROFILE_STORE = 'profiles';
+const ACTIVE_PROFILE_KEY = 'vtuber-animator.active-profile';
+const DEFAULT_PROFILE_NAME = 'My Character';
+const SAVE_DELAY_MS = 1000; // Batch a burst of changes (a dragged slider, a folder drop) into one save
+
+let databasePromise = null;
+let activeProfile = loadActiveProfileName();
+let saveTimer = null;
+let pendingSave = Promise.resolve(); // Saves run one at a time
+
+const saveListeners = new Set();
+
+/**
+ * Call back with the profile name after every successful save
+ * Returns a function that unsubscribes
+ */
+export function onProfileSaved(callback) {
+  saveListeners.add(callback);
+  return () => saveListeners.delete(callback);
+}
+
+/**
+ * Names of all saved profiles, sorted
+ */
+export async function listProfiles() {
+  try {
+    const names = await runRequest('readonly', store => store.getAllKeys());
+    return names.sort((a, b) => a.localeCompare(b));
+  } catch (error) {
+    console.warn('Could not list profiles:', error);
+    return [];
+  }
+}
+
+/**
+ * Name of the profile changes are saved to, or null
+ */
+export function getActiveProfile() {
+  return activeProfile;
+}
+
+/**
+ * Load the active profile, if there is one
+ * Returns the loadProfile() result, or { success: false } so the caller can
+ * fall back to the default assets
+ */
+export async function restoreActiveProfile() {
+  if (!activeProfile) {
+    return { success: false, error: 'No active profile' };
+  }
+
+  const result = await loadProfile(activeProfile);
+  if (!result.success) {
+    console.warn(`⚠️ Could not restore profile "${activeProfile}": ${result.error}`);
+    setActiveProfile(null);
+  }
+  return result;
+}
+
+/**
+ * Replace the character and animation settings with a saved profile and make
+ * it active
+ * Returns { success, profile, name, loaded, missing, assets, error } where
+ * assets are object URLs the caller owns (as from loadCharacterPackage)
+ */
+export async function loadProfile(name) {
+  try {
+    await flushProfileSave();
+
+    const record = await runRequest('readonly', store => store.get(name));
+    if (!record) {
+      return { success: false, error: `No profile named "${name}"` };
+    }
+
+    const parsed = parseManifest(record.manifest);
+    if (!parsed.success) return parsed;
+
+    const files = new Map(record.files.map(({ path, data }) => [path, data]));
+    const result = await loadCharacterPackage({ manifest: parsed.manifest, files });
+    applyAnimationSettings(record.settings);
+    setActiveProfile(name);
+
+    console.log(`💾 Profile loaded: ${name}`);
+    return { ...result, profile: name };
+  } catch (error) {
+    console.error(`Failed to load profile ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save the current character and settings under a new name and make it the
+ * active profile; the name gets a number when already taken
+ * Returns { success, profile, error }
+ */
+export async function createProfile(baseName = getCharacterName() || DEFAULT_PROFILE_NAME) {
+  await flushProfileSave();
+
+  const names = await listProfiles();
+  const base = baseName.trim() || DEFAULT_PROFILE_NAME;
+  let name = base;
+  for (let n = 2; names.includes(name); n++) {
+    name = `${base} ${n}`;
+  }
+
+  setActiveProfile(name);
+  return saveProfile();
+}
+
+/**
+ * Save the current character and settings to the active profile now
+ * Returns { success, profile, error }
+ */
+export function saveProfile() {
+  cancelScheduledSave();
+  const name = activeProfile;
+
+  pendingSave = pendingSave.then(async () => {
+    try {
+      const { manifest, files } = await collectCharacterPackage(getCharacterName() || name);
+      await runRequest('readwrite', store => store.put({
+        name,
+        manifest,
+        files,
+        settings: getAnimationSettings(),
+        updatedAt: Date.now(),
+      }));
+
+      console.log(`💾 Profile saved: ${name} (${files.length} images)`);
+      saveListeners.forEach(callback => callback(name));
+      return { success: true, profile: name };
+    } catch (error) {
+      console.error(`Failed to save profile ${name}:`, error);
+      return { success: false, profile: name, error: error.message };
+    }
+  });
+
+  return pendingSave;
+}
+
+/**
+ * Save to the active profile shortly, after a burst of changes settles
+ * Creates a profile when none is active
+ */
+export function scheduleProfileSave() {
+  cancelScheduledSave();
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    if (activeProfile) {
+      saveProfile();
+    } else {
+      createProfile();
+    }
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Finish any scheduled or running save; call before replacing the character
+ * so its last changes land in the profile they belong to
+ */
+export async function flushProfileSave() {
+  if (saveTimer !== null && activeProfile) {
+    saveProfile();
+  }
+  cancelScheduledSave();
+  await pendingSave;
+}
+
+function cancelScheduledSave() {
+  if (saveTimer !== null) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+}
+
+/**
+ * Delete a saved profile; deleting the active one leaves none active
+ * Returns { success, error }
+ */
+export async function deleteProfile(name) {
+  try {
+    if (name === activeProfile) {
+      cancelScheduledSave();
+      setActiveProfile(null);
+    }
+
+    // A save already running would put the record back after the delete
+    await pendingSave;
+    await runRequest('readwrite', store => store.delete(name));
+    if (name === activeProfile || loadActiveProfileName() === name) {
+      setActiveProfile(null);
+    }
+
+    console.log(`🗑️ Profile deleted: ${name}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Failed to delete profile ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Make a profile active without loading it (null: none, changes aren't
+ * saved until the next change creates a profile)
+ */
+export function setActiveProfile(name) {
+  activeProfile = name;
+
+  try {
+    if (name) {
+      localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+    } else {
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save the active profile:', error);
+  }
+}
+
+/**
+ * Animation settings stored with each profile
+ */
+export function getAnimationSettings() {
+  return {
+    mouthTransition: getMouthTransition(),
+    blink: getBlinkSettings(),
+    idleMotion: getIdleMotion(),
+    voiceBounce: getVoiceBounce(),
+  };
+}
+
+function applyAnimationSettings(settings = {}) {
+  if (settings.mouthTransition) setMouthTransition(settings.mouthTransition);
+  if (settings.blink) setBlinkSettings(settings.blink);
+  if (settings.idleMotion) setIdleMotion(settings.idleMotion);
+  if (settings.voiceBounce) setVoiceBounce(settings.voiceBounce);
+}
+
+function loadActiveProfileName() {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PROFILE_STORE, { keyPath: 'name' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call retry (e.g. after the user allows storage)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against the profile store and resolve with its result
+ * once the transaction commits
+ */
+async function runRequest(mode, makeRequest) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(PROFILE_STORE, mode);
+    const request = makeRequest(transaction.objectStore(PROFILE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
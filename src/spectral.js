@@ -0,0 +1,257 @@
+/**
+ * spectral.js
+ *
+ * Spectral feature extraction for the built-in lip sync analyzer
+ *
+ * Responsibilities:
+ * - Radix-2 FFT over Hann-windowed audio frames
+ * - Band energies (low / mid / high / air) as ratios of total energy
+ * - Spectral centroid, spectral flatness and zero-crossing rate
+ * - Rough formant (F1/F2) estimation from a smoothed spectral envelope
+ *
+ * Everything here is a pure function of the input samples, so the same
+ * audio always yields the same features.
+ */
+
+const MAX_FFT_SIZE = 4096;
+const MIN_ANALYSIS_HZ = 80;
+
+/**
+ * Frequency bands in Hz (clipped to Nyquist at analysis time)
+ */
+export const BANDS = {
+  low: [80, 500],     // Voicing fundamental, nasal murmur
+  mid: [500, 2000],   // F1 / lower F2 region
+  high: [2000, 4000], // Upper F2 / F3, "sh"
+  air: [4000, 8000],  // Sibilants ("s"), breath
+};
+
+/**
+ * Formant search ranges in Hz
+ */
+const F1_RANGE = [200, 1000];
+const F2_RANGE = [700, 3000];
+const MIN_FORMANT_SPACING = 250;
+const ENVELOPE_SMOOTHING_HZ = 100;
+
+const hannCache = new Map();
+const twiddleCache = new Map();
+
+/**
+ * Next power of two >= n
+ */
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * Cached Hann window of the given length
+ */
+function getHannWindow(length) {
+  if (!hannCache.has(length)) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / Math.max(1, length - 1));
+    }
+    hannCache.set(length, window);
+  }
+  return hannCache.get(length);
+}
+
+/**
+ * Cached cos/sin tables for an FFT of the given size
+ */
+function getTwiddles(size) {
+  if (!twiddleCache.has(size)) {
+    const cos = new Float32Array(size / 2);
+    const sin = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / size);
+      sin[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+    twiddleCache.set(size, { cos, sin });
+  }
+  return twiddleCache.get(size);
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * re and im must have the same power-of-two length
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n <= 1) return;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  const { cos, sin } = getTwiddles(n);
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Power spectrum (bins 0..N/2) of the most recent samples in the buffer
+ */
+export function computePowerSpectrum(samples) {
+  const fftSize = Math.min(MAX_FFT_SIZE, nextPowerOfTwo(samples.length));
+  const segmentLength = Math.min(samples.length, fftSize);
+  const offset = samples.length - segmentLength;
+  const window = getHannWindow(segmentLength);
+
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  for (let i = 0; i < segmentLength; i++) {
+    re[i] = samples[offset + i] * window[i];
+  }
+
+  fft(re, im);
+
+  const power = new Float32Array(fftSize / 2 + 1);
+  for (let i = 0; i < power.length; i++) {
+    power[i] = re[i] * re[i] + im[i] * im[i];
+  }
+
+  return { power, fftSize };
+}
+
+/**
+ * Sum of power between two frequencies
+ */
+function bandPower(power, binHz, fromHz, toHz) {
+  const from = Math.max(0, Math.ceil(fromHz / binHz));
+  const to = Math.min(power.length - 1, Math.floor(toHz / binHz));
+  let sum = 0;
+  for (let i = from; i <= to; i++) sum += power[i];
+  return sum;
+}
+
+/**
+ * Moving-average spectral envelope that smooths out individual harmonics
+ */
+function smoothEnvelope(power, binHz) {
+  const radius = Math.max(1, Math.round(ENVELOPE_SMOOTHING_HZ / binHz));
+  const envelope = new Float32Array(power.length);
+  let sum = 0;
+  let count = 0;
+
+  // Sliding window sum over [i - radius, i + radius]
+  for (let i = 0; i < Math.min(radius, power.length); i++) {
+    sum += power[i];
+    count++;
+  }
+  for (let i = 0; i < power.length; i++) {
+    const enter = i + radius;
+    const leave = i - radius - 1;
+    if (enter < power.length) { sum += power[enter]; count++; }
+    if (leave >= 0) { sum -= power[leave]; count--; }
+    envelope[i] = sum / count;
+  }
+
+  return envelope;
+}
+
+/**
+ * Strongest local maximum of the envelope within a frequency range
+ * Returns the peak frequency in Hz, or null when there is none
+ */
+function findPeak(envelope, binHz, fromHz, toHz) {
+  const from = Math.max(1, Math.ceil(fromHz / binHz));
+  const to = Math.min(envelope.length - 2, Math.floor(toHz / binHz));
+  let bestBin = -1;
+
+  for (let i = from; i <= to; i++) {
+    const isPeak = envelope[i] >= envelope[i - 1] && envelope[i] > envelope[i + 1];
+    if (isPeak && (bestBin === -1 || envelope[i] > envelope[bestBin])) {
+      bestBin = i;
+    }
+  }
+
+  return bestBin === -1 ? null : bestBin * binHz;
+}
+
+/**
+ * Extract deterministic spectral features from an audio frame
+ */
+export function analyzeSpectrum(samples, sampleRate) {
+  const features = {
+    rms: 0,
+    zeroCrossingRate: 0,
+    centroid: 0,
+    flatness: 0,
+    bands: { low: 0, mid: 0, high: 0, air: 0 },
+    f1: null,
+    f2: null,
+  };
+
+  if (!samples || samples.length < 2) return features;
+
+  // Time-domain features over the whole frame
+  let energy = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  features.rms = Math.sqrt(energy / samples.length);
+  features.zeroCrossingRate = crossings / (samples.length - 1);
+
+  // Frequency-domain features
+  const { power, fftSize } = computePowerSpectrum(samples);
+  const binHz = sampleRate / fftSize;
+  const nyquist = sampleRate / 2;
+
+  const total = bandPower(power, binHz, MIN_ANALYSIS_HZ, nyquist);
+  if (total <= 0) return features;
+
+  for (const [name, [fromHz, toHz]] of Object.entries(BANDS)) {
+    features.bands[name] = bandPower(power, binHz, fromHz, Math.min(toHz, nyquist)) / total;
+  }
+
+  let weighted = 0;
+  let logSum = 0;
+  let bins = 0;
+  const firstBin = Math.ceil(MIN_ANALYSIS_HZ / binHz);
+  for (let i = firstBin; i < power.length; i++) {
+    weighted += i * binHz * power[i];
+    logSum += Math.log(power[i] + 1e-12);
+    bins++;
+  }
+  features.centroid = weighted / total;
+  features.flatness = bins > 0 ? Math.exp(logSum / bins) / (total / bins) : 0;
+
+  const envelope = smoothEnvelope(power, binHz);
+  features.f1 = findPeak(envelope, binHz, F1_RANGE[0], F1_RANGE[1]);
+  if (features.f1 !== null) {
+    features.f2 = findPeak(envelope, binHz, Math.max(F2_RANGE[0], features.f1 + MIN_FORMANT_SPACING), F2_RANGE[1]);
+  }
+
+  return features;
+}
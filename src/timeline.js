@@ -0,0 +1,380 @@
+/**
+ * timeline.js
+ *
+ * Lip sync timeline formats
+ *
+ * Responsibilities:
+ * - Serialize analyzed cue lists for external animation tools:
+ *   * Rhubarb TSV and JSON (mouth shapes A-H, X)
+ *   * Moho / Papagayo switch data (.dat, Preston Blair phoneme set)
+ *   * Mouth-category JSON using our animation categories
+ * - Parse the same formats (plus simulatePhonemeSequence() JSON) back into
+ *   cues, rejecting files with bad times or unknown shapes, phonemes or
+ *   categories instead of guessing
+ * - Look up the cue at a playback time
+ * - Trigger browser downloads for exported timelines (and character packages)
+ *
+ * Cues share the shape of simulatePhonemeSequence() output:
+ * { phoneme, start, duration } plus `shape` (Rhubarb) and `category`.
+ */
+
+import { mapPhonemeToCategory, RHUBARB_SHAPES } from './lipsync.js';
+import { MOUTH_TYPES } from './animation.js';
+
+export const TIMELINE_FORMATS = {
+  'rhubarb-tsv': { extension: 'tsv', mimeType: 'text/tab-separated-values', label: 'Rhubarb TSV' },
+  'rhubarb-json': { extension: 'json', mimeType: 'application/json', label: 'Rhubarb JSON' },
+  'moho-dat': { extension: 'dat', mimeType: 'text/plain', label: 'Moho / Papagayo .dat' },
+  'mouth-json': { extension: 'mouth.json', mimeType: 'application/json', label: 'Mouth Category JSON' },
+};
+
+/**
+ * Animation category to Preston Blair phoneme (Moho / Papagayo)
+ */
+const CATEGORY_TO_PRESTON_BLAIR = {
+  a: 'AI',
+  e: 'E',
+  o: 'O',
+  u: 'U',
+  m: 'MBP',
+  f: 'FV',
+  closed: 'etc',
+  idle: 'rest',
+};
+
+/**
+ * Preston Blair phoneme (Moho / Papagayo) to animation category
+ */
+const PRESTON_BLAIR_TO_CATEGORY = {
+  AI: 'a',
+  E: 'e',
+  O: 'o',
+  U: 'u',
+  WQ: 'u',
+  L: 'a',
+  MBP: 'm',
+  FV: 'f',
+  etc: 'closed',
+  rest: 'idle',
+};
+
+const MOUTH_JSON_FORMAT = 'vtuber-mouth-categories';
+export const DEFAULT_FPS = 24;
+
+/**
+ * Rhubarb TSV: one "start<TAB>shape" line per cue, closed by a final X
+ */
+export function toRhubarbTsv(cues) {
+  const lines = cues.map(cue => `${cue.start.toFixed(2)}\t${cue.shape}`);
+  const end = getTimelineEnd(cues);
+  if (cues.length > 0 && cues[cues.length - 1].shape !== 'X') {
+    lines.push(`${end.toFixed(2)}\tX`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Rhubarb JSON: { metadata, mouthCues: [{ start, end, value }] }
+ */
+export function toRhubarbJson(cues, { soundFile = '', duration = getTimelineEnd(cues) } = {}) {
+  return JSON.stringify({
+    metadata: {
+      soundFile,
+      duration: round2(duration),
+    },
+    mouthCues: cues.map(cue => ({
+      start: round2(cue.start),
+      end: round2(cue.start + cue.duration),
+      value: cue.shape,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Moho / Papagayo switch data: "MohoSwitch1" then "<frame> <phoneme>"
+ * Frames are 1-based; cues landing on the same frame keep the later one
+ */
+export function toMohoDat(cues, { fps = DEFAULT_FPS } = {}) {
+  const keys = new Map();
+  for (const cue of cues) {
+    keys.set(Math.floor(cue.start * fps) + 1, CATEGORY_TO_PRESTON_BLAIR[cue.category] || 'rest');
+  }
+
+  const lines = ['MohoSwitch1'];
+  let previous = null;
+  for (const [frame, phoneme] of keys) {
+    if (phoneme === previous) continue;
+    lines.push(`${frame} ${phoneme}`);
+    previous = phoneme;
+  }
+
+  const endFrame = Math.floor(getTimelineEnd(cues) * fps) + 1;
+  if (previous !== null && previous !== 'rest' && !keys.has(endFrame)) {
+    lines.push(`${endFrame} rest`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Our own format, using PHONEME_MAP categories directly
+ */
+export function toMouthCategoryJson(cues, { soundFile = '', duration = getTimelineEnd(cues) } = {}) {
+  return JSON.stringify({
+    format: MOUTH_JSON_FORMAT,
+    version: 1,
+    soundFile,
+    duration: round3(duration),
+    cues: cues.map(cue => ({
+      category: cue.category,
+      start: round3(cue.start),
+      duration: round3(cue.duration),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Serialize cues in one of TIMELINE_FORMATS
+ */
+export function serializeTimeline(cues, format, metadata = {}) {
+  switch (format) {
+    case 'rhubarb-tsv': return toRhubarbTsv(cues);
+    case 'rhubarb-json': return toRhubarbJson(cues, metadata);
+    case 'moho-dat': return toMohoDat(cues, metadata);
+    case 'mouth-json': return toMouthCategoryJson(cues, metadata);
+    default: throw new Error(`Unknown timeline format: ${format}`);
+  }
+}
+
+/**
+ * Parse a timeline file, detecting the format from its content
+ * Returns cues sorted by start time
+ */
+export function parseTimeline(text, { fps = DEFAULT_FPS } = {}) {
+  const trimmed = text.trim();
+  let cues;
+
+  if (trimmed.startsWith('MohoSwitch')) {
+    cues = parseMohoDat(trimmed, fps);
+  } else if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    cues = parseTimelineJson(JSON.parse(trimmed));
+  } else {
+    cues = parseRhubarbTsv(trimmed);
+  }
+
+  if (cues.length === 0) {
+    throw new Error('Timeline contains no cues');
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Rhubarb JSON, mouth-category JSON or a simulatePhonemeSequence() array
+ */
+function parseTimelineJson(json) {
+  if (Array.isArray(json)) {
+    return json.map((cue, i) => ({
+      phoneme: cue.phoneme,
+      category: mapPhonemeToCategory(cue),
+      start: parseSeconds(cue.start, 'start', `cue ${i + 1}`),
+      duration: parseSeconds(cue.duration, 'duration', `cue ${i + 1}`),
+    }));
+  }
+
+  if (Array.isArray(json.mouthCues)) {
+    return json.mouthCues.map((cue, i) => {
+      const label = `cue ${i + 1}`;
+      const start = parseSeconds(cue.start, 'start', label);
+      const duration = parseSeconds(parseSeconds(cue.end, 'end', label) - start, 'duration', label);
+      return createShapeCue(parseRhubarbShape(cue.value, label), start, duration);
+    });
+  }
+
+  if (json.format === MOUTH_JSON_FORMAT && Array.isArray(json.cues)) {
+    return parseMouthCategoryCues(json.cues);
+  }
+
+  throw new Error('Unrecognized timeline JSON');
+}
+
+/**
+ * Mouth-category JSON cues; categories are matched case-insensitively and
+ * any that aren't MOUTH_TYPES reject the whole file
+ */
+function parseMouthCategoryCues(cues) {
+  const unknown = new Set();
+
+  const parsed = cues.map((cue, i) => {
+    const category = String(cue.category ?? '').trim().toLowerCase();
+    if (!MOUTH_TYPES.includes(category)) unknown.add(String(cue.category));
+    return {
+      phoneme: category,
+      category,
+      start: parseSeconds(cue.start, 'start', `cue ${i + 1}`),
+      duration: parseSeconds(cue.duration, 'duration', `cue ${i + 1}`),
+    };
+  });
+
+  if (unknown.size > 0) {
+    throw new Error(`Unknown mouth categories: ${[...unknown].join(', ')} (expected ${MOUTH_TYPES.join(', ')})`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Rhubarb TSV: each cue lasts until the next one starts
+ */
+function parseRhubarbTsv(text) {
+  const keys = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const [start, shape] = line.trim().split(/\s+/);
+    if (!shape) continue;
+    const label = `line "${line.trim()}"`;
+    keys.push({ start: parseSeconds(start, 'start', label), value: parseRhubarbShape(shape, label), label });
+  }
+
+  return keysToCues(keys, (value, start, duration) => createShapeCue(value, start, duration));
+}
+
+/**
+ * Moho / Papagayo switch data: 1-based frame keys at the given fps
+ */
+function parseMohoDat(text, fps) {
+  const keys = [];
+
+  for (const line of text.split(/\r?\n/).slice(1)) {
+    const [frame, phoneme] = line.trim().split(/\s+/);
+    if (!phoneme) continue;
+    const label = `line "${line.trim()}"`;
+    const category = PRESTON_BLAIR_TO_CATEGORY[phoneme] || PRESTON_BLAIR_TO_CATEGORY[phoneme.toUpperCase()];
+    if (!category) {
+      throw new Error(`Unknown Preston Blair phoneme in ${label} (expected ${Object.keys(PRESTON_BLAIR_TO_CATEGORY).join(', ')})`);
+    }
+    // Frames are 1-based
+    if (!Number.isInteger(Number(frame)) || Number(frame) < 1) {
+      throw new Error(`Invalid frame in ${label}: ${frame}`);
+    }
+    keys.push({ start: (Number(frame) - 1) / fps, value: { phoneme, category }, label });
+  }
+
+  return keysToCues(keys, ({ phoneme, category }, start, duration) => ({
+    phoneme,
+    category,
+    start,
+    duration,
+  }));
+}
+
+/**
+ * Turn "value from start" keys into cues; the final key has no duration
+ * Keys must be in time order, or the cues before them would run backwards
+ */
+function keysToCues(keys, createCue) {
+  return keys.map((key, i) => {
+    const next = keys[i + 1];
+    if (next && next.start < key.start) {
+      throw new Error(`Out of order: ${next.label} starts before ${key.label}`);
+    }
+    return createCue(key.value, key.start, next ? next.start - key.start : 0);
+  });
+}
+
+/**
+ * Seconds from a cue field; throws naming the cue when the value is missing,
+ * not a finite number or negative
+ */
+function parseSeconds(value, field, label) {
+  const seconds = typeof value === 'string' && value.trim() === '' ? NaN : Number(value ?? NaN);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid ${field} in ${label}: ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * Rhubarb mouth shape (A-H, X, any case); throws naming the cue otherwise
+ */
+function parseRhubarbShape(value, label) {
+  const shape = String(value ?? '').toUpperCase();
+  if (!RHUBARB_SHAPES.includes(shape)) {
+    throw new Error(`Unknown Rhubarb mouth shape in ${label}: ${value} (expected ${RHUBARB_SHAPES.join(', ')})`);
+  }
+  return shape;
+}
+
+function createShapeCue(shape, start, duration) {
+  return {
+    phoneme: shape,
+    shape,
+    category: mapPhonemeToCategory({ shape }),
+    start,
+    duration,
+  };
+}
+
+/**
+ * Cue covering the given time (s), or null outside the timeline
+ * Binary search: cues must be sorted by start
+ */
+export function findCueAt(cues, time) {
+  let low = 0;
+  let high = cues.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (cues[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (found === -1) return null;
+  const cue = cues[found];
+  return time < cue.start + cue.duration ? cue : null;
+}
+
+/**
+ * Save text content as a file through a temporary link
+ */
+export function downloadTextFile(content, fileName, mimeType = 'text/plain') {
+  downloadBlob(new Blob([content], { type: mimeType }), fileName);
+}
+
+/**
+ * Save a Blob as a file through a temporary link
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * End time of the last cue in seconds
+ */
+export function getTimelineEnd(cues) {
+  if (cues.length === 0) return 0;
+  const last = cues[cues.length - 1];
+  return last.start + last.duration;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
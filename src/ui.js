@@ -6,6 +6,7 @@
  * Responsibilities:
  * - Initialize UI event handlers and DOM elements
  * - Manage asset loading UI and drag-drop
+ * - Layer panel: stack order, visibility, opacity, blend mode and bindings
  * - Handle microphone toggle and permission UI
  * - Manage test mode switching and visibility
  * - Update diagnostic displays in real-time
@@ -13,9 +14,17 @@
  * - Display audio level metering
  */
 
-import { getAudioLevel } from './audio.js';
-import { getDiagnosticInfo } from './lipsync.js';
-import { getAnimationState } from './animation.js';
+import { getAudioLevel, listAudioInputDevices, onAudioDevicesChanged, getSelectedDeviceId, getDeviceSettings } from './audio.js';
+import { getPlaybackState } from './playback.js';
+import { getVadState, getAnalysisDiagnosticInfo, getVisemeSettings } from './analysis.js';
+import { getAnimationState, getExpressionState, getSpriteSources, getLayoutTargets, EXPRESSIONS, LOOP_MODES } from './animation.js';
+import { getLayoutEditorState } from './editor.js';
+import { getLayerStack } from './layers.js';
+import { classifyAssetFiles } from './asset-names.js';
+import { parseAtlas } from './atlas.js';
+import { getBackground, findChromaConflicts, CHROMA_PRESETS } from './background.js';
+import { MANIFEST_FILE } from './character.js';
+import { listProfiles, getActiveProfile, getAnimationSettings, onProfileSaved } from './profiles.js';
 
 /**
  * Initialize UI system
@@ -24,13 +33,55 @@ export function initUI(callbacks) {
   const {
     appState,
     onMicToggle,
+    onMicDeviceChange,
+    onMicSettingsChange,
+    onTalkModeChange,
+    onTalkChange,
+    isMicMuted,
+    onMouthTransitionChange,
+    onVisemeSettingsChange,
+    onLatencyModeChange,
+    onLatencyOffsetChange,
+    onMicMonitorToggle,
+    onVadModeChange,
+    onVadCalibrate,
+    onAudioFileLoad,
+    onPlaybackToggle,
+    onPlaybackSeek,
+    onTimelineLoad,
+    onTimelineClear,
+    onTimelineExport,
     onTestModeChange,
     onLoadAsset,
+    onLoadAssetBatch,
+    onLoadAtlas,
+    onSpriteAnimationChange,
     onClearAssets,
+    onImportCharacter,
+    onExportCharacter,
+    onProfileSwitch,
+    onProfileCreate,
+    onProfileDelete,
     onMouthChange,
-    onEyeOpen,
-    onEyeClosed,
+    onEyeStateChange,
     onEyeBlink,
+    onBlinkSettingsChange,
+    onIdleMotionChange,
+    onVoiceBounceChange,
+    onBackgroundChange,
+    onBackgroundImage,
+    onExpressionChange,
+    onLayerAdd,
+    onLayerRemove,
+    onLayerMove,
+    onLayerChange,
+    onLayoutEditToggle,
+    onLayoutTargetChange,
+    onLayoutInput,
+    onLayoutNudge,
+    onLayoutUndo,
+    onLayoutRedo,
+    onLayoutEditorSettingsChange,
     onDiagnosticUpdate,
     getAppState,
   } = callbacks;
@@ -41,6 +92,33 @@ export function initUI(callbacks) {
   const micStatusDot = document.getElementById('mic-status-dot');
   const micStatusText = document.getElementById('mic-status-text');
   const micVolumeDisplay = document.getElementById('mic-volume');
+  const talkModeSelect = document.getElementById('talk-mode-select');
+  const talkKeyBtn = document.getElementById('talk-key-btn');
+  let talkKey = 'Space';
+  let isCapturingTalkKey = false;
+
+  /**
+   * Reflect mic on/off and the talk gate in the status indicator
+   */
+  function updateMicStatus() {
+    if (!appState.isMicEnabled) {
+      micStatusDot.classList.remove('active', 'muted');
+      micStatusText.textContent = 'Microphone: Off';
+      return;
+    }
+
+    const muted = isMicMuted();
+    micStatusDot.classList.toggle('active', !muted);
+    micStatusDot.classList.toggle('muted', muted);
+
+    if (!muted) {
+      micStatusText.textContent = 'Microphone: Live';
+    } else if (appState.talkMode === 'push-to-talk') {
+      micStatusText.textContent = `Microphone: Muted (hold ${formatKeyCode(talkKey)})`;
+    } else {
+      micStatusText.textContent = `Microphone: Muted (press ${formatKeyCode(talkKey)})`;
+    }
+  }
 
   micToggleBtn.addEventListener('click', async () => {
     const enabled = !appState.isMicEnabled;
@@ -55,24 +133,129 @@ export function initUI(callbacks) {
         micToggleBtn.textContent = 'Disable Microphone';
         micToggleBtn.classList.remove('success');
         micToggleBtn.classList.add('danger');
-        micStatusDot.classList.add('active');
-        micStatusText.textContent = 'Microphone: Active';
+        updateMicStatus();
       } else {
         micToggleBtn.textContent = 'Enable Microphone';
         micToggleBtn.classList.add('success');
         micToggleBtn.classList.remove('danger');
-        micStatusDot.classList.remove('active');
+        micStatusDot.classList.remove('active', 'muted');
         micStatusText.textContent = 'Microphone: Permission Denied';
       }
 
       micToggleBtn.disabled = false;
+
+      // Device labels only become readable once permission is granted
+      await refreshDeviceList();
     } else {
       await onMicToggle(false);
       micToggleBtn.textContent = 'Enable Microphone';
       micToggleBtn.classList.add('success');
       micToggleBtn.classList.remove('danger');
-      micStatusDot.classList.remove('active');
-      micStatusText.textContent = 'Microphone: Off';
+      updateMicStatus();
+    }
+  });
+
+  // ==================== Microphone Device ====================
+
+  const micDeviceSelect = document.getElementById('mic-device-select');
+  const micEchoToggle = document.getElementById('mic-echo-toggle');
+  const micNoiseToggle = document.getElementById('mic-noise-toggle');
+  const micGainToggle = document.getElementById('mic-gain-toggle');
+  const micChannelsSelect = document.getElementById('mic-channels-select');
+
+  /**
+   * Refill the device dropdown, keeping the saved selection
+   */
+  async function refreshDeviceList() {
+    const devices = await listAudioInputDevices();
+    const selectedId = getSelectedDeviceId();
+
+    micDeviceSelect.innerHTML = '';
+    if (!devices.some(device => device.deviceId === 'default')) {
+      micDeviceSelect.add(new Option('System default', 'default'));
+    }
+    for (const device of devices) {
+      micDeviceSelect.add(new Option(device.label, device.deviceId));
+    }
+
+    // A saved device that isn't plugged in stays listed so it isn't forgotten
+    if (!Array.from(micDeviceSelect.options).some(option => option.value === selectedId)) {
+      micDeviceSelect.add(new Option('Saved device (unavailable)', selectedId));
+    }
+
+    micDeviceSelect.value = selectedId;
+    showDeviceSettings();
+  }
+
+  function showDeviceSettings() {
+    const settings = getDeviceSettings(micDeviceSelect.value);
+    micEchoToggle.checked = settings.echoCancellation;
+    micNoiseToggle.checked = settings.noiseSuppression;
+    micGainToggle.checked = settings.autoGainControl;
+    micChannelsSelect.value = String(settings.channelCount);
+  }
+
+  /**
+   * Switching while live restarts capture; reflect a failed restart
+   */
+  async function applyDeviceChange(change) {
+    micDeviceSelect.disabled = true;
+    const result = await change();
+    micDeviceSelect.disabled = false;
+
+    if (!result.success) {
+      micToggleBtn.textContent = 'Enable Microphone';
+      micToggleBtn.classList.add('success');
+      micToggleBtn.classList.remove('danger');
+      updateMicStatus();
+      alert(`Could not restart microphone: ${result.error}`);
+    }
+  }
+
+  micDeviceSelect.addEventListener('change', async () => {
+    showDeviceSettings();
+    await applyDeviceChange(() => onMicDeviceChange(micDeviceSelect.value));
+  });
+
+  for (const control of [micEchoToggle, micNoiseToggle, micGainToggle, micChannelsSelect]) {
+    control.addEventListener('change', async () => {
+      await applyDeviceChange(() => onMicSettingsChange(micDeviceSelect.value, {
+        echoCancellation: micEchoToggle.checked,
+        noiseSuppression: micNoiseToggle.checked,
+        autoGainControl: micGainToggle.checked,
+        channelCount: Number(micChannelsSelect.value),
+      }));
+    });
+  }
+
+  onAudioDevicesChanged(() => refreshDeviceList());
+  refreshDeviceList();
+
+  // ==================== Talk Mode ====================
+
+  talkModeSelect.addEventListener('change', (event) => {
+    onTalkModeChange(event.target.value);
+    talkKeyBtn.disabled = event.target.value === 'always-on';
+    updateMicStatus();
+  });
+
+  talkKeyBtn.addEventListener('click', () => {
+    isCapturingTalkKey = true;
+    talkKeyBtn.textContent = 'Press a key...';
+  });
+
+  // Releasing focus while holding the key must not leave the mic open
+  window.addEventListener('blur', () => {
+    if (appState.talkMode === 'push-to-talk' && appState.isTalking) {
+      onTalkChange(false);
+      updateMicStatus();
+    }
+  });
+
+  document.addEventListener('keyup', (event) => {
+    if (event.code === talkKey && appState.talkMode === 'push-to-talk') {
+      onTalkChange(false);
+      updateMicStatus();
     }
   });
 
@@ -84,46 +267,1148 @@ export function initUI(callbacks) {
     }
   }, 100);
 
+  // ==================== Noise Gate ====================
+
+  const vadModeSelect = document.getElementById('vad-mode-select');
+  const vadCalibrateBtn = document.getElementById('vad-calibrate-btn');
+  const vadStatus = document.getElementById('vad-status');
+
+  vadModeSelect.addEventListener('change', (event) => {
+    onVadModeChange(event.target.value);
+  });
+
+  vadCalibrateBtn.addEventListener('click', async () => {
+    vadCalibrateBtn.disabled = true;
+    vadCalibrateBtn.textContent = 'Stay quiet...';
+
+    const result = await onVadCalibrate();
+    if (!result.success) {
+      alert(`Calibration failed: ${result.error}`);
+    }
+
+    vadCalibrateBtn.textContent = 'Calibrate Noise Floor (3s)';
+    vadCalibrateBtn.disabled = false;
+  });
+
+  // Update gate status display
+  setInterval(() => {
+    const vad = getVadState();
+
+    if (vad.isCalibrating) {
+      vadStatus.textContent = `Calibrating... ${Math.round(vad.calibrationProgress * 100)}%`;
+    } else if (vad.mode === 'off') {
+      vadStatus.textContent = 'Gate: off';
+    } else {
+      vadStatus.textContent = `Gate: ${vad.isOpen ? 'OPEN' : 'closed'} · level ${vad.envelopeDb.toFixed(0)} dB · threshold ${vad.thresholdDb.toFixed(0)} dB`;
+    }
+  }, 100);
+
+  // ==================== Expressions ====================
+
+  const expressionBtns = document.querySelectorAll('.expression-btn');
+  const expressionRevertInput = document.getElementById('expression-revert');
+  const expressionStatus = document.getElementById('expression-status');
+
+  function switchExpression(expression) {
+    const revertAfter = Math.max(0, Number(expressionRevertInput.value) || 0);
+    onExpressionChange(expression, revertAfter);
+  }
+
+  expressionBtns.forEach(btn => {
+    btn.addEventListener('click', (event) => switchExpression(event.target.dataset.expression));
+  });
+
+  // Follow the active expression, including timed reverts
+  setInterval(() => {
+    const { expression, revertIn } = getExpressionState();
+
+    expressionBtns.forEach(btn => {
+      btn.style.opacity = btn.dataset.expression === expression ? '1' : '0.6';
+    });
+    expressionStatus.textContent = revertIn > 0
+      ? `${capitalize(expression)} · back to neutral in ${revertIn.toFixed(1)}s`
+      : capitalize(expression);
+  }, 100);
+
+  // ==================== Layers ====================
+
+  const layerList = document.getElementById('layer-list');
+  const layerNameInput = document.getElementById('layer-name-input');
+  const layerAddBtn = document.getElementById('layer-add-btn');
+  const layerOpacityInput = document.getElementById('layer-opacity');
+  const layerBlendSelect = document.getElementById('layer-blend-select');
+  const layerFollowsSelect = document.getElementById('layer-follows-select');
+  const layerExpressionList = document.getElementById('layer-expression-list');
+  const layerTalkingSelect = document.getElementById('layer-talking-select');
+  const layerDeleteBtn = document.getElementById('layer-delete-btn');
+  const layerExpressionToggles = EXPRESSIONS.map((expression) => {
+    const label = document.createElement('label');
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.value = expression;
+    label.append(toggle, ` ${capitalize(expression)}`);
+    layerExpressionList.append(label);
+    return toggle;
+  });
+  let selectedLayer = 'body';
+  let shownLayerStack = '';
+
+  /**
+   * Redraw the layer list and the selected layer's properties when the
+   * stack changes (edits here, profile switches, imports)
+   */
+  function refreshLayers() {
+    const stack = getLayerStack();
+    const signature = JSON.stringify(stack) + selectedLayer;
+    if (signature === shownLayerStack) return;
+    shownLayerStack = signature;
+
+    if (!stack.some(layer => layer.name === selectedLayer)) {
+      selectedLayer = stack[0]?.name || null;
+    }
+
+    // Front layer first, like an image editor
+    layerList.replaceChildren(...stack.slice().reverse().map(createLayerRow));
+    refreshAssetLayerOptions(stack.filter(layer => !layer.builtIn).map(layer => layer.name));
+
+    const layer = stack.find(candidate => candidate.name === selectedLayer);
+    for (const input of [layerOpacityInput, layerBlendSelect, layerFollowsSelect, layerTalkingSelect, ...layerExpressionToggles]) {
+      input.disabled = !layer;
+    }
+    layerDeleteBtn.disabled = !layer || layer.builtIn;
+    if (!layer) return;
+
+    // Don't move a slider or list while it's in use
+    if (document.activeElement !== layerOpacityInput) layerOpacityInput.value = layer.opacity;
+    if (document.activeElement !== layerBlendSelect) layerBlendSelect.value = layer.blendMode;
+    if (document.activeElement !== layerFollowsSelect) layerFollowsSelect.value = layer.follows;
+    if (document.activeElement !== layerTalkingSelect) {
+      layerTalkingSelect.value = layer.showWhen.talking === null ? '' : (layer.showWhen.talking ? 'talking' : 'silent');
+    }
+    layerExpressionToggles.forEach((toggle) => {
+      toggle.checked = layer.showWhen.expressions.includes(toggle.value);
+    });
+  }
+
+  function createLayerRow(layer) {
+    const row = document.createElement('div');
+    row.className = layer.name === selectedLayer ? 'layer-row selected' : 'layer-row';
+
+    const visibleToggle = document.createElement('input');
+    visibleToggle.type = 'checkbox';
+    visibleToggle.checked = layer.visible;
+    visibleToggle.title = 'Visible';
+    visibleToggle.addEventListener('change', () => changeLayer(layer.name, { visible: visibleToggle.checked }));
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+
+    // Bindings at a glance
+    const state = document.createElement('span');
+    state.className = 'layer-state';
+    state.textContent = [
+      ...layer.showWhen.expressions,
+      layer.showWhen.talking === null ? null : (layer.showWhen.talking ? 'talking' : 'silent'),
+    ].filter(Boolean).join(', ');
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'secondary';
+    upBtn.textContent = '▲';
+    upBtn.title = 'Move to front';
+    upBtn.addEventListener('click', () => onLayerMove(layer.name, 1));
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'secondary';
+    downBtn.textContent = '▼';
+    downBtn.title = 'Move to back';
+    downBtn.addEventListener('click', () => onLayerMove(layer.name, -1));
+
+    row.append(visibleToggle, name, state, upBtn, downBtn);
+    row.addEventListener('click', (event) => {
+      if (event.target !== row && event.target !== name && event.target !== state) return;
+      selectedLayer = layer.name;
+      refreshLayers();
+    });
+    return row;
+  }
+
+  /**
+   * User layers as load targets in the asset type list
+   */
+  function refreshAssetLayerOptions(names) {
+    let group = document.getElementById('asset-layer-options');
+    if (!group) {
+      group = document.createElement('optgroup');
+      group.id = 'asset-layer-options';
+      group.label = 'Layers';
+      document.getElementById('asset-type-select').append(group);
+    }
+    group.replaceChildren(...names.map(name => new Option(`Layer - ${name}`, name)));
+  }
+
+  function changeLayer(name, properties) {
+    onLayerChange(name, properties);
+    refreshLayers();
+  }
+
+  function changeSelectedLayer(properties) {
+    if (selectedLayer) changeLayer(selectedLayer, properties);
+  }
+
+  async function addLayer() {
+    const name = layerNameInput.value.trim();
+    if (!name) return;
+
+    const result = await onLayerAdd(name);
+    if (!result.success) {
+      alert(`Failed to add layer: ${result.error}`);
+      return;
+    }
+
+    layerNameInput.value = '';
+    selectedLayer = result.name;
+    refreshLayers();
+    refreshSpriteList();
+  }
+
+  layerAddBtn.addEventListener('click', addLayer);
+  layerNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addLayer();
+  });
+
+  layerOpacityInput.addEventListener('input', () => changeSelectedLayer({ opacity: Number(layerOpacityInput.value) }));
+  layerBlendSelect.addEventListener('change', () => changeSelectedLayer({ blendMode: layerBlendSelect.value }));
+  layerFollowsSelect.addEventListener('change', () => changeSelectedLayer({ follows: layerFollowsSelect.value }));
+  layerTalkingSelect.addEventListener('change', () => {
+    const { value } = layerTalkingSelect;
+    changeSelectedLayer({ showWhen: { talking: value ? value === 'talking' : null } });
+  });
+  layerExpressionToggles.forEach(toggle => toggle.addEventListener('change', () => {
+    const expressions = layerExpressionToggles.filter(candidate => candidate.checked).map(candidate => candidate.value);
+    changeSelectedLayer({ showWhen: { expressions } });
+  }));
+
+  layerDeleteBtn.addEventListener('click', async () => {
+    if (!selectedLayer || !confirm(`Delete layer "${selectedLayer}" and its sprites?`)) return;
+
+    const result = await onLayerRemove(selectedLayer);
+    if (!result.success) {
+      alert(`Failed to delete layer: ${result.error}`);
+      return;
+    }
+    refreshLayers();
+    refreshSpriteList();
+  });
+
+  // Follow stacks replaced by profile switches and imports
+  setInterval(refreshLayers, 250);
+
+  // ==================== Layout Editor ====================
+
+  const layoutEditToggle = document.getElementById('layout-edit-toggle');
+  const layoutTargetSelect = document.getElementById('layout-target-select');
+  const layoutFields = {
+    positionX: document.getElementById('layout-position-x'),
+    positionY: document.getElementById('layout-position-y'),
+    scaleX: document.getElementById('layout-scale-x'),
+    scaleY: document.getElementById('layout-scale-y'),
+    rotation: document.getElementById('layout-rotation'),
+    anchorX: document.getElementById('layout-anchor-x'),
+    anchorY: document.getElementById('layout-anchor-y'),
+  };
+  const layoutSnapToggle = document.getElementById('layout-snap-toggle');
+  const layoutGridSizeInput = document.getElementById('layout-grid-size');
+  const layoutOnionToggle = document.getElementById('layout-onion-toggle');
+  const layoutUndoBtn = document.getElementById('layout-undo-btn');
+  const layoutRedoBtn = document.getElementById('layout-redo-btn');
+  let layoutTargetKeys = '';
+
+  /**
+   * Refill the target dropdown when sprites come and go (custom mouths,
+   * in-betweens)
+   */
+  function refreshLayoutTargets() {
+    const targets = getLayoutTargets();
+    const layerNames = getLayerStack().map(({ name }) => name);
+    const keys = [...layerNames, ...targets.map(({ key }) => key)].join(',');
+    if (keys === layoutTargetKeys) return;
+    layoutTargetKeys = keys;
+
+    const layerGroup = document.createElement('optgroup');
+    layerGroup.label = 'Layers';
+    for (const layer of layerNames) {
+      layerGroup.append(new Option(`${capitalize(layer)} layer`, `layer:${layer}`));
+    }
+
+    const spriteGroup = document.createElement('optgroup');
+    spriteGroup.label = 'Sprites';
+    spriteGroup.append(...targets.map(({ key }) => new Option(key, key)));
+
+    layoutTargetSelect.replaceChildren(new Option('Nothing selected', ''), layerGroup, spriteGroup);
+  }
+
+  function applyLayoutInput() {
+    const value = field => Number(layoutFields[field].value) || 0;
+    onLayoutInput({
+      position: { x: value('positionX'), y: value('positionY') },
+      scale: { x: value('scaleX'), y: value('scaleY') },
+      rotation: value('rotation'),
+      anchor: { x: value('anchorX'), y: value('anchorY') },
+    });
+  }
+
+  function applyLayoutEditorSettings() {
+    onLayoutEditorSettingsChange({
+      snap: layoutSnapToggle.checked,
+      gridSize: Math.max(1, Number(layoutGridSizeInput.value) || 1),
+      onionSkin: layoutOnionToggle.checked,
+    });
+  }
+
+  layoutEditToggle.addEventListener('change', () => onLayoutEditToggle(layoutEditToggle.checked));
+  layoutTargetSelect.addEventListener('change', () => onLayoutTargetChange(layoutTargetSelect.value || null));
+  Object.values(layoutFields).forEach(input => input.addEventListener('change', applyLayoutInput));
+  layoutSnapToggle.addEventListener('change', applyLayoutEditorSettings);
+  layoutGridSizeInput.addEventListener('change', applyLayoutEditorSettings);
+  layoutOnionToggle.addEventListener('change', applyLayoutEditorSettings);
+  layoutUndoBtn.addEventListener('click', () => onLayoutUndo());
+  layoutRedoBtn.addEventListener('click', () => onLayoutRedo());
+
+  // Follow selections and drags made on the canvas
+  setInterval(() => {
+    refreshLayoutTargets();
+
+    const { target, layout, canUndo, canRedo } = getLayoutEditorState();
+    if (document.activeElement !== layoutTargetSelect) {
+      layoutTargetSelect.value = target || '';
+    }
+
+    const values = layout && {
+      positionX: layout.position.x,
+      positionY: layout.position.y,
+      scaleX: layout.scale.x,
+      scaleY: layout.scale.y,
+      rotation: layout.rotation,
+      anchorX: layout.anchor.x,
+      anchorY: layout.anchor.y,
+    };
+    for (const [field, input] of Object.entries(layoutFields)) {
+      input.disabled = !values;
+      // Don't overwrite a number while it's being typed
+      if (document.activeElement !== input) {
+        input.value = values ? values[field] : '';
+      }
+    }
+
+    layoutUndoBtn.disabled = !canUndo;
+    layoutRedoBtn.disabled = !canRedo;
+  }, 100);
+
+  // ==================== Mouth Transitions ====================
+
+  const mouthCrossfadeInput = document.getElementById('mouth-crossfade');
+  const mouthSquashInput = document.getElementById('mouth-squash');
+  const mouthInBetweensToggle = document.getElementById('mouth-inbetweens-toggle');
+
+  function applyMouthTransition() {
+    const crossfadeMs = Math.max(0, Number(mouthCrossfadeInput.value) || 0);
+    mouthCrossfadeInput.value = crossfadeMs;
+    onMouthTransitionChange({
+      crossfadeMs,
+      squash: Number(mouthSquashInput.value),
+      useInBetweens: mouthInBetweensToggle.checked,
+    });
+  }
+
+  mouthCrossfadeInput.addEventListener('change', applyMouthTransition);
+  mouthSquashInput.addEventListener('input', applyMouthTransition);
+  mouthInBetweensToggle.addEventListener('change', applyMouthTransition);
+
+  // ==================== Lip Sync Smoothing ====================
+
+  const visemeSelect = document.getElementById('viseme-settings-select');
+  const visemeMinHoldInput = document.getElementById('viseme-min-hold');
+  const visemeMinConfidenceInput = document.getElementById('viseme-min-confidence');
+
+  function showVisemeSettings() {
+    const { minHoldMs, minConfidence } = getVisemeSettings(visemeSelect.value);
+    visemeMinHoldInput.value = minHoldMs;
+    visemeMinConfidenceInput.value = minConfidence;
+  }
+
+  function applyVisemeSettings() {
+    const minHoldMs = Math.max(0, Number(visemeMinHoldInput.value) || 0);
+    visemeMinHoldInput.value = minHoldMs;
+    onVisemeSettingsChange(visemeSelect.value, {
+      minHoldMs,
+      minConfidence: Number(visemeMinConfidenceInput.value),
+    });
+  }
+
+  visemeSelect.addEventListener('change', showVisemeSettings);
+  visemeMinHoldInput.addEventListener('change', applyVisemeSettings);
+  visemeMinConfidenceInput.addEventListener('change', applyVisemeSettings);
+  showVisemeSettings();
+
+  // ==================== Blinking ====================
+
+  const blinkIntervalInput = document.getElementById('blink-interval');
+  const blinkVarianceInput = document.getElementById('blink-variance');
+  const blinkDoubleChanceInput = document.getElementById('blink-double-chance');
+
+  function applyBlinkSettings() {
+    onBlinkSettingsChange({
+      meanInterval: Math.max(0.5, Number(blinkIntervalInput.value) || 0),
+      intervalVariance: Math.max(0, Number(blinkVarianceInput.value) || 0),
+      doubleBlinkChance: Math.min(100, Math.max(0, Number(blinkDoubleChanceInput.value) || 0)) / 100,
+    });
+  }
+
+  for (const input of [blinkIntervalInput, blinkVarianceInput, blinkDoubleChanceInput]) {
+    input.addEventListener('change', applyBlinkSettings);
+  }
+
+  // ==================== Idle Motion ====================
+
+  const idleMotionToggle = document.getElementById('idle-motion-toggle');
+  const idleInputs = ['breathing', 'bob', 'sway'].map(effect => ({
+    effect,
+    amplitude: document.getElementById(`idle-${effect}-amplitude`),
+    period: document.getElementById(`idle-${effect}-period`),
+  }));
+
+  function applyIdleMotion() {
+    const settings = { enabled: idleMotionToggle.checked };
+
+    for (const { effect, amplitude, period } of idleInputs) {
+      settings[effect] = {
+        amplitude: Math.max(0, Number(amplitude.value) || 0),
+        period: Math.max(0.5, Number(period.value) || 0),
+      };
+    }
+    // Breathing is entered as a percentage of scale
+    settings.breathing.amplitude /= 100;
+
+    onIdleMotionChange(settings);
+  }
+
+  idleMotionToggle.addEventListener('change', applyIdleMotion);
+  for (const { amplitude, period } of idleInputs) {
+    amplitude.addEventListener('change', applyIdleMotion);
+    period.addEventListener('change', applyIdleMotion);
+  }
+
+  // ==================== Voice Bounce ====================
+
+  const bounceToggle = document.getElementById('bounce-toggle');
+  const bounceSensitivityInput = document.getElementById('bounce-sensitivity');
+  const bounceMaxDisplacementInput = document.getElementById('bounce-max-displacement');
+  const bounceSquashInput = document.getElementById('bounce-squash');
+  const bounceDecayInput = document.getElementById('bounce-decay');
+
+  function applyVoiceBounce() {
+    onVoiceBounceChange({
+      enabled: bounceToggle.checked,
+      sensitivity: Number(bounceSensitivityInput.value),
+      maxDisplacement: Math.max(0, Number(bounceMaxDisplacementInput.value) || 0),
+      squash: Number(bounceSquashInput.value),
+      decay: Math.max(0.05, Number(bounceDecayInput.value) || 0),
+    });
+  }
+
+  bounceToggle.addEventListener('change', applyVoiceBounce);
+  bounceSensitivityInput.addEventListener('input', applyVoiceBounce);
+  bounceMaxDisplacementInput.addEventListener('change', applyVoiceBounce);
+  bounceSquashInput.addEventListener('input', applyVoiceBounce);
+  bounceDecayInput.addEventListener('change', applyVoiceBounce);
+
+  // ==================== Background ====================
+
+  const backgroundModeSelect = document.getElementById('background-mode-select');
+  const backgroundColorInput = document.getElementById('background-color');
+  const backgroundImageInput = document.getElementById('background-image-input');
+  const backgroundStatus = document.getElementById('background-status');
+
+  /**
+   * Show the background and, for a chroma color, which sprites use it
+   */
+  function refreshBackgroundStatus() {
+    const { mode, color, imageName } = getBackground();
+    backgroundModeSelect.value = mode;
+    backgroundColorInput.value = color;
+    backgroundStatus.style.color = '#999';
+
+    if (mode === 'transparent') {
+      backgroundStatus.textContent = 'Transparent';
+    } else if (mode === 'image') {
+      backgroundStatus.textContent = imageName ? `Image: ${imageName}` : 'Choose an image';
+    } else {
+      const conflicts = findChromaConflicts(color);
+      if (conflicts.length === 0) {
+        backgroundStatus.textContent = `${color} · no sprite uses this color`;
+      } else {
+        const list = conflicts.map(({ assetType, pixels }) => `${assetType} (${pixels} px)`).join(', ');
+        backgroundStatus.textContent = `⚠️ ${color} appears in ${list}; keying it out cuts holes there`;
+        backgroundStatus.style.color = '#ffaa44';
+      }
+    }
+  }
+
+  backgroundModeSelect.addEventListener('change', () => {
+    // The image mode waits for an image
+    if (backgroundModeSelect.value === 'image' && !getBackground().imageName) {
+      backgroundImageInput.click();
+      backgroundModeSelect.value = getBackground().mode;
+      return;
+    }
+    onBackgroundChange({ mode: backgroundModeSelect.value });
+    refreshBackgroundStatus();
+  });
+
+  backgroundColorInput.addEventListener('change', () => {
+    onBackgroundChange({ mode: 'color', color: backgroundColorInput.value });
+    refreshBackgroundStatus();
+  });
+
+  document.querySelectorAll('.chroma-preset-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onBackgroundChange({ mode: 'color', color: CHROMA_PRESETS[btn.dataset.chroma] });
+      refreshBackgroundStatus();
+    });
+  });
+
+  backgroundImageInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    backgroundImageInput.value = '';
+    if (!file) return;
+
+    const result = await onBackgroundImage(file);
+    if (!result.success) {
+      alert(`Could not load the background image: ${result.error}`);
+    }
+    refreshBackgroundStatus();
+  });
+
+  refreshBackgroundStatus();
+
+  /**
+   * Fill the animation inputs from the running settings (after a profile loads)
+   */
+  function showAnimationSettings({ mouthTransition, blink, idleMotion, voiceBounce }) {
+    mouthCrossfadeInput.value = mouthTransition.crossfadeMs;
+    mouthSquashInput.value = mouthTransition.squash;
+    mouthInBetweensToggle.checked = mouthTransition.useInBetweens;
+
+    blinkIntervalInput.value = blink.meanInterval;
+    blinkVarianceInput.value = blink.intervalVariance;
+    blinkDoubleChanceInput.value = Math.round(blink.doubleBlinkChance * 100);
+
+    idleMotionToggle.checked = idleMotion.enabled;
+    for (const { effect, amplitude, period } of idleInputs) {
+      // Breathing is entered as a percentage of scale
+      const scale = effect === 'breathing' ? 100 : 1;
+      amplitude.value = Number((idleMotion[effect].amplitude * scale).toFixed(3));
+      period.value = idleMotion[effect].period;
+    }
+
+    bounceToggle.checked = voiceBounce.enabled;
+    bounceSensitivityInput.value = voiceBounce.sensitivity;
+    bounceMaxDisplacementInput.value = voiceBounce.maxDisplacement;
+    bounceSquashInput.value = voiceBounce.squash;
+    bounceDecayInput.value = voiceBounce.decay;
+  }
+
+  showAnimationSettings(getAnimationSettings());
+
+  // ==================== Latency ====================
+
+  const latencyModeSelect = document.getElementById('latency-mode-select');
+  const latencyOffsetInput = document.getElementById('latency-offset');
+  const micMonitorToggle = document.getElementById('mic-monitor-toggle');
+  const latencyStatus = document.getElementById('latency-status');
+
+  latencyModeSelect.addEventListener('change', (event) => {
+    onLatencyModeChange(event.target.value);
+  });
+
+  latencyOffsetInput.addEventListener('change', () => {
+    const extraAudioMs = Number(latencyOffsetInput.value) || 0;
+    latencyOffsetInput.value = extraAudioMs;
+    onLatencyOffsetChange(extraAudioMs);
+  });
+
+  micMonitorToggle.addEventListener('change', () => {
+    onMicMonitorToggle(micMonitorToggle.checked);
+  });
+
+  // Update latency summary
+  setInterval(() => {
+    const latency = appState.latency;
+    if (!latency) return;
+
+    const lag = Math.round(latency.effectiveLagMs);
+    const compensated = Math.round(latency.appliedDelayMs + latency.lookaheadMs);
+    latencyStatus.textContent = `Mouth ${lag >= 0 ? 'lags' : 'leads'} audio by ${Math.abs(lag)}ms`
+      + (compensated ? ` after ${compensated}ms compensation` : '')
+      + ` (visual ${Math.round(latency.visualMs)} / audio ${Math.round(latency.audioMs)})`;
+  }, 250);
+
+  // ==================== Audio File Playback ====================
+
+  const audioFileSection = document.getElementById('audio-file-section');
+  const audioFileInput = document.getElementById('audio-file-input');
+  const audioFileName = document.getElementById('audio-file-name');
+  const playbackToggleBtn = document.getElementById('playback-toggle-btn');
+  const playbackSeek = document.getElementById('playback-seek');
+  const playbackTime = document.getElementById('playback-time');
+  const timelineFileInput = document.getElementById('timeline-file-input');
+  const timelineStatus = document.getElementById('timeline-status');
+  const timelineClearBtn = document.getElementById('timeline-clear-btn');
+  const timelineFpsInput = document.getElementById('timeline-fps');
+  const timelineFormatSelect = document.getElementById('timeline-format-select');
+  const timelineExportBtn = document.getElementById('timeline-export-btn');
+  let isSeeking = false;
+
+  function showPlaybackReady(playback) {
+    audioFileName.textContent = `${playback.fileName} (${formatTime(playback.duration)})`;
+    playbackSeek.max = playback.duration;
+    playbackSeek.value = 0;
+    playbackSeek.disabled = false;
+    playbackToggleBtn.disabled = false;
+    playbackToggleBtn.textContent = 'Play';
+    timelineExportBtn.disabled = Boolean(playback.isSilence);
+  }
+
+  function getTimelineFps() {
+    return Number(timelineFpsInput.value) || 24;
+  }
+
+  async function loadAudio(file) {
+    if (!file) return;
+
+    audioFileName.textContent = `Decoding ${file.name}...`;
+    playbackToggleBtn.disabled = true;
+
+    const result = await onAudioFileLoad(file);
+
+    if (result.success) {
+      showPlaybackReady(result);
+    } else {
+      audioFileName.textContent = `Could not decode ${file.name}`;
+      playbackSeek.disabled = true;
+      timelineExportBtn.disabled = true;
+    }
+  }
+
+  async function loadTimeline(file) {
+    if (!file) return;
+
+    const result = await onTimelineLoad(file, getTimelineFps());
+
+    if (result.success) {
+      timelineStatus.textContent = `${file.name}: ${result.cueCount} cues (${formatTime(result.duration)})`;
+      timelineClearBtn.disabled = false;
+      if (result.playback) {
+        showPlaybackReady(result.playback);
+      }
+    } else {
+      timelineStatus.textContent = `Could not load ${file.name}: ${result.error}`;
+    }
+  }
+
+  audioFileInput.addEventListener('change', async (event) => {
+    await loadAudio(event.target.files[0]);
+    audioFileInput.value = '';
+  });
+
+  timelineFileInput.addEventListener('change', async (event) => {
+    await loadTimeline(event.target.files[0]);
+    timelineFileInput.value = '';
+  });
+
+  timelineClearBtn.addEventListener('click', () => {
+    onTimelineClear();
+    timelineStatus.textContent = 'No timeline: mouth follows audio analysis';
+    timelineClearBtn.disabled = true;
+  });
+
+  audioFileSection.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    audioFileSection.classList.add('drag-over');
+  });
+
+  audioFileSection.addEventListener('dragleave', () => {
+    audioFileSection.classList.remove('drag-over');
+  });
+
+  audioFileSection.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    audioFileSection.classList.remove('drag-over');
+
+    const files = Array.from(event.dataTransfer.files);
+    const audioFile = files.find(f => f.type.startsWith('audio/') || /\.(wav|mp3|ogg)$/i.test(f.name));
+    const timelineFile = files.find(f => /\.(json|tsv|txt|dat)$/i.test(f.name));
+
+    if (!audioFile && !timelineFile) {
+      alert('Please drop a WAV, MP3 or OGG file and/or a lip sync timeline');
+      return;
+    }
+
+    // Audio first, so a timeline dropped with it doesn't fall back to silence
+    await loadAudio(audioFile);
+    await loadTimeline(timelineFile);
+  });
+
+  playbackToggleBtn.addEventListener('click', async () => {
+    const isPlaying = await onPlaybackToggle();
+    playbackToggleBtn.textContent = isPlaying ? 'Pause' : 'Play';
+  });
+
+  playbackSeek.addEventListener('input', () => {
+    isSeeking = true;
+    playbackTime.textContent = `${formatTime(Number(playbackSeek.value))} / ${formatTime(Number(playbackSeek.max))}`;
+  });
+
+  playbackSeek.addEventListener('change', async () => {
+    await onPlaybackSeek(Number(playbackSeek.value));
+    isSeeking = false;
+  });
+
+  timelineExportBtn.addEventListener('click', async () => {
+    timelineExportBtn.disabled = true;
+
+    try {
+      const result = await onTimelineExport(timelineFormatSelect.value, (progress) => {
+        timelineExportBtn.textContent = `Analyzing... ${Math.round(progress * 100)}%`;
+      }, getTimelineFps());
+      if (!result.success) {
+        alert(result.error);
+      }
+    } catch (error) {
+      console.error('Timeline export failed:', error);
+      alert(`Timeline export failed: ${error.message}`);
+    } finally {
+      timelineExportBtn.textContent = 'Analyze & Download';
+      timelineExportBtn.disabled = false;
+    }
+  });
+
+  // Follow the playhead
+  setInterval(() => {
+    const playback = getPlaybackState();
+    if (!playback.loaded || isSeeking) return;
+
+    playbackSeek.value = playback.position;
+    playbackTime.textContent = `${formatTime(playback.position)} / ${formatTime(playback.duration)}`;
+    playbackToggleBtn.textContent = playback.isPlaying ? 'Pause' : 'Play';
+  }, 100);
+
+  // ==================== Profiles ====================
+
+  const profileSelect = document.getElementById('profile-select');
+  const profileNewBtn = document.getElementById('profile-new-btn');
+  const profileDeleteBtn = document.getElementById('profile-delete-btn');
+  const profileStatus = document.getElementById('profile-status');
+
+  /**
+   * Refill the profile dropdown and select the active profile
+   */
+  async function refreshProfileList() {
+    const profiles = await listProfiles();
+    const active = getActiveProfile();
+
+    profileSelect.replaceChildren(
+      new Option('Default assets (not saved)', ''),
+      ...profiles.map(name => new Option(name, name))
+    );
+    profileSelect.value = active || '';
+    profileDeleteBtn.disabled = !active;
+    profileStatus.textContent = active
+      ? `Changes save automatically to "${active}"`
+      : 'Your first change creates a profile';
+  }
+
+  /**
+   * Load a profile (or the default assets for null) and show its settings
+   */
+  async function switchProfile(name) {
+    profileSelect.disabled = true;
+
+    try {
+      const result = await onProfileSwitch(name);
+      if (!result.success) {
+        alert(`Failed to load profile: ${result.error}`);
+      }
+      showAnimationSettings(getAnimationSettings());
+      refreshSpriteList();
+    } finally {
+      profileSelect.disabled = false;
+      await refreshProfileList();
+    }
+  }
+
+  profileSelect.addEventListener('change', () => switchProfile(profileSelect.value || null));
+
+  profileNewBtn.addEventListener('click', async () => {
+    const name = prompt('Profile name:', getActiveProfile() || 'My Character');
+    if (!name || !name.trim()) return;
+
+    const result = await onProfileCreate(name);
+    if (!result.success) {
+      alert(`Failed to save profile: ${result.error}`);
+    }
+    await refreshProfileList();
+  });
+
+  profileDeleteBtn.addEventListener('click', async () => {
+    const name = getActiveProfile();
+    if (!name || !confirm(`Delete profile "${name}"? Its sprites and settings are removed from this browser.`)) return;
+
+    const result = await onProfileDelete(name);
+    if (!result.success) {
+      alert(`Failed to delete profile: ${result.error}`);
+      return;
+    }
+
+    // Move on to another profile, or the default assets when none are left
+    await switchProfile(result.profiles[0] || null);
+  });
+
+  // Autosave creates a profile on the first change
+  onProfileSaved(() => refreshProfileList());
+  refreshProfileList();
+
+  // ==================== Character Package ====================
+
+  const characterFolderInput = document.getElementById('character-folder-input');
+  const characterFileInput = document.getElementById('character-file-input');
+  const characterExportBtn = document.getElementById('character-export-btn');
+  const characterStatus = document.getElementById('character-status');
+
+  /**
+   * Import a package from Files or dropped { file, path } entries
+   */
+  async function importCharacter(files) {
+    characterStatus.textContent = 'Importing...';
+    const result = await onImportCharacter(files);
+
+    if (!result.success) {
+      characterStatus.textContent = 'Import failed';
+      alert(`Failed to import character: ${result.error}`);
+      return;
+    }
+
+    const problems = [...(result.warnings || []), ...result.missing.map(path => `Missing ${path}`)];
+    characterStatus.textContent = `${result.name} · ${result.loaded} sprites${problems.length ? ` · ${problems.length} warnings` : ''}`;
+    if (problems.length > 0) {
+      console.warn(`⚠️ ${result.name}:\n${problems.join('\n')}`);
+    }
+    refreshSpriteList();
+    await refreshProfileList();
+  }
+
+  async function importPickedCharacter(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    await importCharacter(files);
+  }
+
+  characterFolderInput.addEventListener('change', importPickedCharacter);
+  characterFileInput.addEventListener('change', importPickedCharacter);
+
+  characterExportBtn.addEventListener('click', async () => {
+    characterExportBtn.disabled = true;
+
+    try {
+      const result = await onExportCharacter();
+      if (!result.success) {
+        alert(`Failed to export character: ${result.error}`);
+      }
+    } finally {
+      characterExportBtn.disabled = false;
+    }
+  });
+
   // ==================== Asset Loading ====================
 
   const assetFileInput = document.getElementById('asset-file-input');
   const assetTypeSelect = document.getElementById('asset-type-select');
+  const assetExpressionSelect = document.getElementById('asset-expression-select');
   const clearAssetsBtn = document.getElementById('clear-assets-btn');
+  const spriteList = document.getElementById('sprite-list');
+  const assignDialog = document.getElementById('assign-dialog');
+  const assignList = document.getElementById('assign-list');
+  const canvasContainer = document.getElementById('canvas-container');
+  const controlPanel = document.getElementById('control-panel');
+
+  /**
+   * List every sprite slot and the file that filled it
+   */
+  function refreshSpriteList() {
+    spriteList.replaceChildren(...getSpriteSources().map(({ assetType, sourceName, animation }) => {
+      const row = document.createElement('div');
+      row.className = sourceName ? 'sprite-row' : 'sprite-row empty';
+
+      const slot = document.createElement('span');
+      slot.textContent = assetType;
+
+      const source = document.createElement('span');
+      source.className = 'sprite-source';
+      source.textContent = sourceName || 'placeholder';
+      source.title = sourceName || '';
+
+      row.append(slot, source);
+      if (animation) {
+        row.append(createAnimationControls(assetType, animation));
+      }
+      return row;
+    }));
+
+    // New sprites may use the chroma color
+    if (getBackground().mode === 'color') refreshBackgroundStatus();
+  }
+
+  /**
+   * Frame rate and loop mode of an animated sprite
+   */
+  function createAnimationControls(assetType, { fps, loop, frameCount }) {
+    const controls = document.createElement('span');
+    controls.className = 'sprite-animation';
+    controls.title = `${frameCount} frames`;
+
+    const fpsInput = document.createElement('input');
+    fpsInput.type = 'number';
+    fpsInput.min = '1';
+    fpsInput.max = '60';
+    fpsInput.step = '1';
+    fpsInput.value = fps;
+    fpsInput.addEventListener('change', () => {
+      const value = parseFloat(fpsInput.value);
+      if (value > 0) onSpriteAnimationChange(assetType, { fps: value });
+    });
+
+    const loopSelect = document.createElement('select');
+    loopSelect.append(...LOOP_MODES.map(mode => new Option(mode, mode)));
+    loopSelect.value = loop;
+    loopSelect.addEventListener('change', () => {
+      onSpriteAnimationChange(assetType, { loop: loopSelect.value });
+    });
+
+    controls.append(`${frameCount}f`, fpsInput, 'fps', loopSelect);
+    return controls;
+  }
+
+  /**
+   * Load the texture atlases among dropped files: a .json TexturePacker or
+   * Aseprite accepts, with the image its meta.image names (next to it, or
+   * anywhere in the drop by file name)
+   * Returns the entries left over for loading as loose images
+   */
+  async function loadAtlasEntries(entries) {
+    const atlasImages = new Set();
+    let loaded = 0;
+
+    for (const entry of entries) {
+      if (!entry.path.toLowerCase().endsWith('.json')) continue;
+
+      let json;
+      try {
+        json = JSON.parse(await entry.file.text());
+      } catch (error) {
+        console.warn(`⚠️ ${entry.path} is not JSON:`, error);
+        continue;
+      }
+      if (!parseAtlas(json).success) continue;
+
+      const folder = entry.path.includes('/') ? entry.path.slice(0, entry.path.lastIndexOf('/') + 1) : '';
+      const imageName = json.meta.image.split('/').pop();
+      const image = entries.find(candidate => candidate.path === folder + json.meta.image)
+        || entries.find(candidate => candidate.path.split('/').pop() === imageName);
+      if (!image) {
+        alert(`${entry.path} needs its image ${json.meta.image}; drop both together`);
+        continue;
+      }
+
+      atlasImages.add(image);
+      const result = await onLoadAtlas({ path: entry.path, json, image });
+      if (!result.success) {
+        alert(`Could not load the atlas ${entry.path}: ${result.error}`);
+        continue;
+      }
+
+      loaded++;
+      if (result.unmatched.length > 0) {
+        console.log(`🗺️ ${entry.path}: no sprite named like ${result.unmatched.join(', ')}`);
+      }
+    }
+
+    if (loaded > 0) refreshSpriteList();
+    return { loaded, rest: entries.filter(entry => !atlasImages.has(entry)) };
+  }
+
+  /**
+   * Ask which sprite each unrecognized file fills
+   * Resolves with the assigned entries; skipped files are left out
+   */
+  function assignUnmatchedFiles(unmatched) {
+    const typeOptions = Array.from(assetTypeSelect.options)
+      .filter(option => option.value !== 'auto' && option.value !== 'mouth_inbetween');
+    const previews = [];
+
+    const rows = unmatched.map((entry) => {
+      const row = document.createElement('div');
+      row.className = 'assign-row';
+
+      const preview = document.createElement('img');
+      preview.src = URL.createObjectURL(entry.file);
+      previews.push(preview.src);
+
+      const name = document.createElement('span');
+      name.textContent = entry.path;
+      name.title = entry.path;
+
+      const typeSelect = document.createElement('select');
+      typeSelect.append(new Option('Skip', ''), ...typeOptions.map(option => new Option(option.text, option.value)));
+
+      const expressionSelect = assetExpressionSelect.cloneNode(true);
+      expressionSelect.removeAttribute('id');
+      expressionSelect.value = 'neutral';
+
+      row.append(preview, name, typeSelect, expressionSelect);
+      return { entry, typeSelect, expressionSelect, row };
+    });
+
+    assignList.replaceChildren(...rows.map(({ row }) => row));
+    assignDialog.returnValue = '';
+    assignDialog.showModal();
+
+    return new Promise((resolve) => {
+      assignDialog.addEventListener('close', () => {
+        previews.forEach(url => URL.revokeObjectURL(url));
+        if (assignDialog.returnValue !== 'load') {
+          resolve([]);
+          return;
+        }
+
+        resolve(rows
+          .filter(({ typeSelect }) => typeSelect.value)
+          .map(({ entry, typeSelect, expressionSelect }) => ({
+            ...entry,
+            assetType: expressionSelect.value === 'neutral'
+              ? typeSelect.value
+              : `${expressionSelect.value}_${typeSelect.value}`,
+          })));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Load a batch of { file, path } entries, each typed by its name
+   * A character.json or a lone .zip among them imports a character package
+   */
+  async function loadAssetEntries(entries) {
+    const isPackage = entries.some(({ path }) => path.split('/').pop() === MANIFEST_FILE)
+      || (entries.length === 1 && entries[0].path.toLowerCase().endsWith('.zip'));
+    if (isPackage) {
+      await importCharacter(entries);
+      return;
+    }
+
+    // Atlases first, so their images aren't taken for loose sprites
+    const atlases = await loadAtlasEntries(entries);
+
+    const layerNames = getLayerStack().filter(layer => !layer.builtIn).map(layer => layer.name);
+    const { matched, unmatched } = classifyAssetFiles(atlases.rest, layerNames);
+    if (matched.length === 0 && unmatched.length === 0) {
+      if (atlases.loaded === 0) {
+        alert('Please drop PNG, JPEG or WebP images, a texture atlas (.json with its image), or a folder of them');
+      }
+      return;
+    }
+
+    const assigned = unmatched.length > 0 ? await assignUnmatchedFiles(unmatched) : [];
+    const assets = [...matched, ...assigned];
+    if (assets.length === 0) return;
+
+    clearAssetsBtn.disabled = true;
+
+    try {
+      await onLoadAssetBatch(assets);
+      console.log(`✅ Loaded ${assets.length} asset(s) by file name (${unmatched.length} unrecognized)`);
+    } catch (error) {
+      console.error('Failed to load assets:', error);
+      alert(`Failed to load assets: ${error.message}`);
+    } finally {
+      clearAssetsBtn.disabled = false;
+      refreshSpriteList();
+    }
+  }
 
   assetFileInput.addEventListener('change', async (event) => {
     const files = Array.from(event.target.files);
     const assetType = assetTypeSelect.value;
+    const expression = assetExpressionSelect.value;
+    assetFileInput.value = '';
+
+    if (files.length === 0) return;
 
-    if (!assetType) {
-      alert('Please select an asset type first');
-      assetFileInput.value = '';
+    // Atlases name their own sprites
+    if (assetType === 'auto' || files.some(file => file.name.toLowerCase().endsWith('.json'))) {
+      await loadAssetEntries(files.map(file => ({ file, path: file.name })));
       return;
     }
 
-    if (files.length === 0) return;
-
     // Show loading state
     clearAssetsBtn.disabled = true;
 
     try {
-      await onLoadAsset(files, assetType);
-      console.log(`✅ Loaded ${files.length} asset(s) as ${assetType}`);
+      await onLoadAsset(files, assetType, expression);
+      console.log(`✅ Loaded ${files.length} asset(s) as ${assetType} (${expression})`);
     } catch (error) {
       console.error('Failed to load assets:', error);
       alert(`Failed to load assets: ${error.message}`);
     } finally {
-      assetFileInput.value = '';
       clearAssetsBtn.disabled = false;
-      assetTypeSelect.value = '';
+      assetTypeSelect.value = 'auto';
+      refreshSpriteList();
     }
   });
 
+  // Drop images or folders anywhere on the canvas or the panel
+  for (const target of [canvasContainer, controlPanel]) {
+    target.addEventListener('dragover', (event) => {
+      if (event.defaultPrevented) return; // A section with its own drop target
+      event.preventDefault();
+      target.classList.add('drag-over');
+    });
+
+    target.addEventListener('dragleave', (event) => {
+      if (!target.contains(event.relatedTarget)) {
+        target.classList.remove('drag-over');
+      }
+    });
+
+    target.addEventListener('drop', async (event) => {
+      target.classList.remove('drag-over');
+      if (event.defaultPrevented) return;
+      event.preventDefault();
+
+      await loadAssetEntries(await getDroppedFiles(event.dataTransfer));
+    });
+  }
+
   clearAssetsBtn.addEventListener('click', () => {
     if (confirm('Clear all loaded assets?')) {
       onClearAssets();
+      refreshSpriteList();
     }
   });
 
+  refreshSpriteList();
+
   // ==================== Test Mode Selection ====================
 
   const testModeSelect = document.getElementById('test-mode-select');
@@ -147,20 +1432,17 @@ export function initUI(callbacks) {
     });
   });
 
-  const eyeOpenBtn = document.getElementById('eye-open-btn');
-  const eyeClosedBtn = document.getElementById('eye-closed-btn');
+  const eyeBtns = document.querySelectorAll('.eye-btn');
   const eyeBlinkBtn = document.getElementById('eye-blink-btn');
 
-  eyeOpenBtn.addEventListener('click', () => {
-    onEyeOpen();
-    eyeOpenBtn.style.opacity = '1';
-    eyeClosedBtn.style.opacity = '0.6';
-  });
+  eyeBtns.forEach(btn => {
+    btn.addEventListener('click', (event) => {
+      onEyeStateChange(event.target.dataset.eye);
 
-  eyeClosedBtn.addEventListener('click', () => {
-    onEyeClosed();
-    eyeClosedBtn.style.opacity = '1';
-    eyeOpenBtn.style.opacity = '0.6';
+      // Visual feedback
+      eyeBtns.forEach(b => b.style.opacity = '0.6');
+      event.target.style.opacity = '1';
+    });
   });
 
   eyeBlinkBtn.addEventListener('click', () => {
@@ -172,8 +1454,10 @@ export function initUI(callbacks) {
   // Update diagnostics in audio test mode
   setInterval(() => {
     if (appState.testMode === 'audio') {
-      const diagnosticInfo = getDiagnosticInfo();
+      // The microphone and file playback are both analyzed in the worker
+      const diagnosticInfo = getAnalysisDiagnosticInfo();
       const animationInfo = getAnimationState();
+      const vad = getVadState();
 
       const diagnosticLines = [
         `[${new Date().toLocaleTimeString()}]`,
@@ -181,18 +1465,32 @@ export function initUI(callbacks) {
         'PHONEME DETECTION',
         `Current: ${diagnosticInfo.phoneme.toUpperCase()}`,
         `History: ${diagnosticInfo.history.join(' → ')}`,
-        `Using: ${diagnosticInfo.isUsingMock ? 'Mock Rhubarb' : 'Official Rhubarb'}`,
+        `Live engine: ${diagnosticInfo.engine} · Export engine: ${diagnosticInfo.exportEngine}`,
         '',
         'ANIMATION STATE',
         `Mouth: ${animationInfo.currentMouthType}`,
-        `Eyes: ${animationInfo.currentEyeState}${animationInfo.isBlinking ? ' (blinking)' : ''}`,
+        `Expression: ${animationInfo.currentExpression}${animationInfo.expressionRevertIn > 0 ? ` (reverts in ${animationInfo.expressionRevertIn.toFixed(1)}s)` : ''}`,
+        `Eyes: ${animationInfo.displayedEyeState}${animationInfo.isBlinking ? ' (blinking)' : ''}${animationInfo.forcedEyeState ? ' (held by expression)' : ` · rests ${animationInfo.currentEyeState}`}`,
         '',
         'AUDIO INPUT',
+        `Source: ${appState.isPlaybackActive ? 'Audio file' : 'Microphone'}`,
         `Level: ${getAudioLevel()}%`,
         '',
+        'VOICE GATE',
+        `Mode: ${vad.mode}${vad.isCalibrating ? ' (calibrating)' : ''}`,
+        `State: ${vad.isOpen ? 'OPEN' : 'closed'}${vad.hangoverRemainingMs > 0 && vad.envelopeDb < vad.thresholdDb ? ` (hangover ${Math.round(vad.hangoverRemainingMs)}ms)` : ''}`,
+        `Envelope: ${vad.envelopeDb.toFixed(1)} dB`,
+        `Noise Floor: ${vad.noiseFloorDb.toFixed(1)} dB → Threshold: ${vad.thresholdDb.toFixed(1)} dB`,
+        '',
+        ...formatLatencyLines(appState.latency),
+        '',
         'ASSETS',
         `Loaded Mouth Sprites: ${animationInfo.loadedMouth.length}`,
+        `Loaded In-betweens: ${animationInfo.loadedInBetweens.join(', ') || 'none'}`,
         `Loaded Eye States: ${animationInfo.loadedEyes.length}`,
+        `Brows: ${animationInfo.browLoaded ? 'Loaded' : 'None'}`,
+        ...Object.entries(animationInfo.loadedExpressions)
+          .map(([expression, keys]) => `${capitalize(expression)} Sprites: ${keys.length}`),
         `Body Asset: ${animationInfo.bodyLoaded ? 'Loaded' : 'Placeholder'}`,
       ];
 
@@ -203,10 +1501,67 @@ export function initUI(callbacks) {
   // ==================== Keyboard Shortcuts ====================
 
   document.addEventListener('keydown', (event) => {
-    // Spacebar to trigger microphone
-    if (event.code === 'Space' && event.target.tagName !== 'INPUT') {
+    // Rebinding the talk key
+    if (isCapturingTalkKey) {
+      event.preventDefault();
+      talkKey = event.code;
+      isCapturingTalkKey = false;
+      talkKeyBtn.textContent = `Talk Key: ${formatKeyCode(talkKey)}`;
+      updateMicStatus();
+      return;
+    }
+
+    // Push-to-talk / toggle-to-talk
+    if (event.code === talkKey && appState.talkMode !== 'always-on' && !isTextEntry(event.target)) {
+      event.preventDefault();
+      if (event.repeat) return;
+
+      onTalkChange(appState.talkMode === 'push-to-talk' ? true : !appState.isTalking);
+      updateMicStatus();
+      return;
+    }
+
+    // Layout editor: arrows nudge, Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo
+    if (appState.isEditingLayout && !isTextEntry(event.target)) {
+      const nudge = event.shiftKey ? 10 : 1;
+      const arrows = {
+        ArrowLeft: [-nudge, 0],
+        ArrowRight: [nudge, 0],
+        ArrowUp: [0, -nudge],
+        ArrowDown: [0, nudge],
+      };
+
+      if (arrows[event.code]) {
+        event.preventDefault();
+        onLayoutNudge(...arrows[event.code]);
+        return;
+      }
+      if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+        event.preventDefault();
+        if (event.shiftKey) onLayoutRedo(); else onLayoutUndo();
+        return;
+      }
+      if ((event.ctrlKey || event.metaKey) && event.code === 'KeyY') {
+        event.preventDefault();
+        onLayoutRedo();
+        return;
+      }
+      if (event.code === 'Escape') {
+        onLayoutTargetChange(null);
+        return;
+      }
+    }
+
+    // Keep Space from scrolling the panel
+    if (event.code === 'Space' && !isTextEntry(event.target)) {
       event.preventDefault();
-      // Could be used for push-to-talk mode in future
+    }
+
+    // Expression hotkeys (1-5) work in every mode
+    const expressionIndex = event.code.startsWith('Digit') ? Number(event.code.slice(5)) - 1 : -1;
+    if (EXPRESSIONS[expressionIndex] && !event.repeat && !isTextEntry(event.target)) {
+      switchExpression(EXPRESSIONS[expressionIndex]);
+      return;
     }
 
     // Test shortcuts
@@ -227,3 +1582,98 @@ export function initUI(callbacks) {
 
   console.log('✅ UI initialized');
 }
+
+/**
+ * Latency budget breakdown for the diagnostics panel
+ */
+function formatLatencyLines(latency) {
+  if (!latency) return ['LATENCY', 'Measuring...'];
+
+  const ms = value => (value === null ? '--' : `${value.toFixed(1)}ms`);
+  const lines = [
+    `LATENCY (${latency.source === 'mic' ? 'microphone' : 'audio file'}, ${latency.mode})`,
+    `Input: ${ms(latency.inputMs)} · Window/2: ${ms(latency.windowMs)}`,
+  ];
+
+  if (latency.source === 'mic') {
+    lines.push(`Queue age: ${ms(latency.queueAgeMs)} (analysis ${ms(latency.analysisMs)})`);
+  } else {
+    lines.push(`Analysis: ${ms(latency.analysisMs)}`);
+  }
+
+  lines.push(
+    `Render: ${ms(latency.renderMs)}`,
+    `Output: base ${ms(latency.baseMs)} + output ${ms(latency.outputMs)} + extra ${ms(latency.extraAudioMs)}`,
+    `Visual ${ms(latency.visualMs)} vs Audio ${ms(latency.audioMs)} → Lag ${ms(latency.lagMs)}`,
+    `Applied: audio delay ${ms(latency.appliedDelayMs)} · lookahead ${ms(latency.lookaheadMs)} → Effective lag ${ms(latency.effectiveLagMs)}`,
+  );
+
+  return lines;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Format seconds as m:ss.t
+ */
+function formatTime(seconds) {
+  const tenths = Math.round(seconds * 10);
+  const minutes = Math.floor(tenths / 600);
+  const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Files from a drop as { file, path } entries, walking dropped folders
+ * Paths keep the folder structure ("happy/mouth_a.png")
+ */
+async function getDroppedFiles(dataTransfer) {
+  // Entries must be taken before the first await; the drop data expires
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files, file => ({ file, path: file.name }));
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await readDroppedEntry(entry, files);
+  }
+  return files;
+}
+
+async function readDroppedEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+    return;
+  }
+
+  // Directory readers return entries in batches until an empty one
+  const reader = entry.createReader();
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) {
+      await readDroppedEntry(child, files);
+    }
+  } while (batch.length > 0);
+}
+
+/**
+ * Readable label for a KeyboardEvent.code (e.g. "KeyT" -> "T")
+ */
+function formatKeyCode(code) {
+  return code.replace(/^Key/, '').replace(/^Digit/, '');
+}
+
+/**
+ * Whether a key event target is a form control that takes keys itself
+ */
+function isTextEntry(target) {
+  return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+}
@@ -0,0 +1,232 @@
+/**
+ * vad.js
+ *
+ * Voice activity detection and noise gate
+ *
+ * Responsibilities:
+ * - Calibrate the room noise floor from a few seconds of room tone
+ * - Follow the input level with an attack/release envelope
+ * - Open the gate when the envelope clears the noise floor by a margin
+ * - Hold the gate open for a hangover time so the mouth doesn't drop out
+ *   between words
+ * - Optionally keep adapting the noise floor to the quietest level of the
+ *   last few seconds, which the pauses in speech keep at room tone
+ *
+ * Time advances by the duration of each frame fed in, so the gate behaves
+ * the same regardless of how often frames are delivered.
+ */
+
+const DEFAULT_NOISE_FLOOR_DB = -60;
+const MIN_DB = -100;
+const FLOOR_BUCKETS = 6; // floorWindowMs is tracked as this many rolling minimums
+
+/**
+ * Gate modes
+ * - off: no gating, the analyzer's own silence threshold applies
+ * - fixed: gate against the last calibrated noise floor
+ * - adaptive: like fixed, but the floor keeps tracking room tone
+ */
+export const VAD_MODES = ['off', 'fixed', 'adaptive'];
+
+let vadSettings = {
+  mode: 'adaptive',
+  marginDb: 10,      // Envelope must clear the floor by this much to open
+  hysteresisDb: 3,   // ...and drop this far below the threshold to start closing
+  attackMs: 10,      // Envelope rise time
+  releaseMs: 150,    // Envelope fall time
+  hangoverMs: 250,   // Gate stays open this long after speech ends
+  floorWindowMs: 3000, // Adaptive floor follows the quietest level heard this long
+  floorRiseMs: 4000, // ...creeping up slowly when the room gets louder
+  floorFallMs: 500,  // ...and dropping quickly when it gets quieter
+};
+
+let vadState = {
+  levelDb: MIN_DB,
+  envelopeDb: MIN_DB,
+  noiseFloorDb: DEFAULT_NOISE_FLOOR_DB,
+  isOpen: false,
+  hangoverRemainingMs: 0,
+  calibratedAt: null,
+};
+
+let calibration = null;
+let floorTracker = createFloorTracker();
+
+/**
+ * Update gate settings (any subset of vadSettings)
+ */
+export function configureVad(settings) {
+  if (settings.mode && !VAD_MODES.includes(settings.mode)) {
+    console.warn(`Unknown VAD mode: ${settings.mode}`);
+    return;
+  }
+  vadSettings = { ...vadSettings, ...settings };
+
+  if (vadSettings.mode === 'off') {
+    vadState.isOpen = false;
+    vadState.hangoverRemainingMs = 0;
+  }
+}
+
+/**
+ * Whether the gate currently makes speech/silence decisions
+ */
+export function isVadEnabled() {
+  return vadSettings.mode !== 'off';
+}
+
+/**
+ * Sample room tone for the given time and set the noise floor from it
+ * Resolves with the measured floor (dB) once enough audio has been fed
+ */
+export function startNoiseCalibration(durationMs = 3000) {
+  if (calibration) {
+    calibration.reject(new Error('Calibration restarted'));
+  }
+
+  return new Promise((resolve, reject) => {
+    calibration = { durationMs, elapsedMs: 0, energy: 0, samples: 0, resolve, reject };
+  });
+}
+
+/**
+ * Abort a running calibration (e.g. when the microphone stops)
+ */
+export function cancelNoiseCalibration() {
+  if (calibration) {
+    calibration.reject(new Error('Calibration cancelled'));
+    calibration = null;
+  }
+}
+
+/**
+ * Feed one captured frame through the gate
+ * Returns true while the gate is open
+ */
+export function processVadFrame(samples, sampleRate) {
+  if (!samples || samples.length === 0) return vadState.isOpen;
+
+  const frameMs = (samples.length / sampleRate) * 1000;
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  const levelDb = toDb(Math.sqrt(energy / samples.length));
+  vadState.levelDb = levelDb;
+
+  // Envelope follower: fast attack, slower release
+  const envelopeTime = levelDb > vadState.envelopeDb ? vadSettings.attackMs : vadSettings.releaseMs;
+  vadState.envelopeDb += (levelDb - vadState.envelopeDb) * smoothing(frameMs, envelopeTime);
+
+  if (calibration) {
+    updateCalibration(energy, samples.length, frameMs);
+    return vadState.isOpen;
+  }
+
+  if (vadSettings.mode === 'off') return false;
+
+  // Follow room tone whether or not the gate is open: room tone louder than
+  // the floor plus the margin opens it, and it has to close again
+  if (vadSettings.mode === 'adaptive') {
+    const quietestDb = trackQuietestLevel(levelDb, frameMs);
+    const floorTime = quietestDb > vadState.noiseFloorDb ? vadSettings.floorRiseMs : vadSettings.floorFallMs;
+    vadState.noiseFloorDb += (quietestDb - vadState.noiseFloorDb) * smoothing(frameMs, floorTime);
+  }
+
+  const thresholdDb = getThresholdDb();
+
+  if (vadState.envelopeDb >= thresholdDb) {
+    vadState.isOpen = true;
+    vadState.hangoverRemainingMs = vadSettings.hangoverMs;
+  } else if (vadState.isOpen && vadState.envelopeDb < thresholdDb - vadSettings.hysteresisDb) {
+    vadState.hangoverRemainingMs -= frameMs;
+    if (vadState.hangoverRemainingMs <= 0) {
+      vadState.isOpen = false;
+      vadState.hangoverRemainingMs = 0;
+    }
+  }
+
+  return vadState.isOpen;
+}
+
+function createFloorTracker() {
+  return { bucketMinimums: [], currentMinDb: Infinity, currentMs: 0 };
+}
+
+/**
+ * Quietest frame level over roughly the last floorWindowMs (minimum
+ * statistics): rolling per-bucket minimums, so old frames age out cheaply
+ */
+function trackQuietestLevel(levelDb, frameMs) {
+  const tracker = floorTracker;
+  tracker.currentMinDb = Math.min(tracker.currentMinDb, levelDb);
+  tracker.currentMs += frameMs;
+
+  if (tracker.currentMs >= vadSettings.floorWindowMs / FLOOR_BUCKETS) {
+    tracker.bucketMinimums.push(tracker.currentMinDb);
+    if (tracker.bucketMinimums.length > FLOOR_BUCKETS) tracker.bucketMinimums.shift();
+    tracker.currentMinDb = Infinity;
+    tracker.currentMs = 0;
+  }
+
+  return Math.min(tracker.currentMinDb, ...tracker.bucketMinimums);
+}
+
+/**
+ * Accumulate room tone and finish calibration once enough was heard
+ */
+function updateCalibration(energy, sampleCount, frameMs) {
+  calibration.energy += energy;
+  calibration.samples += sampleCount;
+  calibration.elapsedMs += frameMs;
+
+  if (calibration.elapsedMs < calibration.durationMs) return;
+
+  const { resolve } = calibration;
+  vadState.noiseFloorDb = toDb(Math.sqrt(calibration.energy / calibration.samples));
+  vadState.isOpen = false;
+  vadState.hangoverRemainingMs = 0;
+  vadState.calibratedAt = Date.now();
+  calibration = null;
+  floorTracker = createFloorTracker();
+
+  console.log(`🔇 Noise floor calibrated: ${vadState.noiseFloorDb.toFixed(1)} dB`);
+  resolve(vadState.noiseFloorDb);
+}
+
+/**
+ * Level the envelope must reach to open the gate
+ */
+function getThresholdDb() {
+  return vadState.noiseFloorDb + vadSettings.marginDb;
+}
+
+/**
+ * One-pole smoothing coefficient for a frame of the given length
+ */
+function smoothing(frameMs, timeConstantMs) {
+  return 1 - Math.exp(-frameMs / Math.max(1, timeConstantMs));
+}
+
+function toDb(rms) {
+  return rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+}
+
+/**
+ * Get gate state for diagnostics
+ */
+export function getVadState() {
+  return {
+    mode: vadSettings.mode,
+    isOpen: vadState.isOpen,
+    levelDb: vadState.levelDb,
+    envelopeDb: vadState.envelopeDb,
+    noiseFloorDb: vadState.noiseFloorDb,
+    thresholdDb: getThresholdDb(),
+    hangoverRemainingMs: vadState.hangoverRemainingMs,
+    isCalibrating: calibration !== null,
+    calibrationProgress: calibration ? Math.min(1, calibration.elapsedMs / calibration.durationMs) : null,
+    calibratedAt: vadState.calibratedAt,
+    settings: { ...vadSettings },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * zip.js
+ *
+ * Minimal ZIP reader and writer for character packages
+ *
+ * Responsibilities:
+ * - Read stored and deflated entries from a .zip (as made by the OS,
+ *   7-Zip or this app)
+ * - Write an uncompressed .zip (PNG/JPEG data is already compressed)
+ * - CRC-32 for written entries
+ *
+ * No ZIP64, encryption or multi-disk archives; character packages are small.
+ * Inflating uses the browser's DecompressionStream.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const DOS_DATE_1980 = 0x21; // 1980-01-01, the earliest date zip can store
+
+let crcTable = null;
+
+/**
+ * Read every file in a zip
+ * Returns Map of path → Blob (directories are skipped)
+ */
+export async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const endOffset = findEndOfCentralDirectory(view);
+  if (endOffset === -1) {
+    throw new Error('Not a zip file (no central directory)');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+
+    // Local headers repeat name and extra with their own lengths
+    const dataOffset = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+
+    if (method === METHOD_STORE) {
+      files.set(path, new Blob([data]));
+    } else if (method === METHOD_DEFLATE) {
+      files.set(path, await inflate(data));
+    } else {
+      console.warn(`Skipping ${path}: unsupported zip compression method ${method}`);
+    }
+  }
+
+  return files;
+}
+
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_SIZE);
+
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
+
+/**
+ * Build an uncompressed zip
+ * files: [{ path, data }] where data is a Blob, Uint8Array or string
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { path, data } of files) {
+    const name = encoder.encode(path);
+    const content = await toBytes(data, encoder);
+    const crc = crc32(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true); // Version needed: 2.0
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORE, true);
+    local.setUint16(12, DOS_DATE_1980, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORE, true);
+    central.setUint16(14, DOS_DATE_1980, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(local, name, content);
+    centralParts.push(central, name);
+    offset += 30 + name.length + content.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+async function toBytes(data, encoder) {
+  if (typeof data === 'string') return encoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
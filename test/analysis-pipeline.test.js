@@ -0,0 +1,87 @@
+/**
+ * analysis-pipeline.test.js
+ *
+ * Microphone and file windows reaching the analysis pipeline together
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalysisPipeline } from '../src/analysis-pipeline.js';
+
+const SAMPLE_RATE = 16000;
+const WINDOW_SIZE = 640;
+const HOP_SIZE = 320;
+
+function voicedWindow(frequency) {
+  const data = new Float32Array(WINDOW_SIZE);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = 0.3 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+  }
+  return data;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Port messages and the drain loop are asynchronous, so poll rather than
+// guess how long they take on a busy machine
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition() && Date.now() < deadline) await tick();
+}
+
+const visemesIn = posted => posted.filter(message => message.type === 'viseme');
+
+async function startPipeline() {
+  const posted = [];
+  const pipeline = createAnalysisPipeline(message => posted.push(message));
+  await pipeline.handleMessage({ type: 'init' });
+
+  const { port1: worklet, port2 } = new MessageChannel();
+  await pipeline.handleMessage({ type: 'capture-port' }, [port2]);
+  return { pipeline, posted, worklet };
+}
+
+test('a playing file is analyzed while the paused microphone keeps sending', async () => {
+  const { pipeline, posted, worklet } = await startPipeline();
+
+  // What main.js sends while a file plays
+  await pipeline.handleMessage({ type: 'pause', paused: true });
+
+  // The mic's audio clock is far ahead of the file position
+  let endFrame = 100 * SAMPLE_RATE;
+  for (let i = 0; i < 20; i++) {
+    for (let hop = 0; hop < 3; hop++) {
+      endFrame += HOP_SIZE;
+      worklet.postMessage({ audioData: voicedWindow(150), hopSize: HOP_SIZE, endFrame, sampleRate: SAMPLE_RATE });
+    }
+    await pipeline.handleMessage({
+      type: 'playback-window',
+      window: { data: voicedWindow(700), timestamp: (i + 1) * 0.02, sampleRate: SAMPLE_RATE },
+    });
+    await waitFor(() => visemesIn(posted).length === i + 1);
+  }
+  await waitFor(() => posted.some(message => message.type === 'vad'));
+  worklet.close();
+
+  const visemes = visemesIn(posted);
+  assert.equal(visemes.length, 20);
+  assert.ok(visemes.every(message => message.source === 'file'));
+  assert.deepEqual(visemes.map(message => message.timestamp), visemes.map((message, i) => (i + 1) * 0.02));
+  assert.ok(posted.some(message => message.type === 'vad'), 'paused mic windows still report the gate');
+  assert.equal(visemes[visemes.length - 1].stats.windowsDropped, 0);
+});
+
+test('the microphone is analyzed again once resumed', async () => {
+  const { pipeline, posted, worklet } = await startPipeline();
+
+  await pipeline.handleMessage({ type: 'pause', paused: true });
+  await pipeline.handleMessage({ type: 'pause', paused: false });
+  worklet.postMessage({ audioData: voicedWindow(150), hopSize: HOP_SIZE, endFrame: SAMPLE_RATE, sampleRate: SAMPLE_RATE });
+  await waitFor(() => visemesIn(posted).length > 0);
+  await tick();
+  worklet.close();
+
+  const visemes = visemesIn(posted);
+  assert.equal(visemes.length, 1);
+  assert.equal(visemes[0].source, 'mic');
+});
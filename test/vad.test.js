@@ -0,0 +1,66 @@
+/**
+ * vad.test.js
+ *
+ * Adaptive noise floor of the voice activity gate
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SAMPLE_RATE = 16000;
+const HOP_SIZE = 320; // 20ms, as the worklet delivers them
+
+/**
+ * Deterministic white noise at the given level (dBFS RMS)
+ */
+function createNoise(levelDb) {
+  let seed = 1;
+  const amplitude = Math.pow(10, levelDb / 20) * Math.sqrt(3);
+  return () => {
+    const frame = new Float32Array(HOP_SIZE);
+    for (let i = 0; i < frame.length; i++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      frame[i] = (seed / 1073741824 - 1) * amplitude;
+    }
+    return frame;
+  };
+}
+
+// Each test gets its own copy of the module's gate state
+const loadVad = (name) => import(`../src/vad.js?${name}`);
+
+test('adaptive gate closes on room tone louder than the default floor', async () => {
+  const { processVadFrame, getVadState } = await loadVad('loud-room');
+  const roomTone = createNoise(-40);
+
+  assert.equal(processVadFrame(roomTone(), SAMPLE_RATE), true, 'opens before the floor has adapted');
+
+  let isOpen = true;
+  for (let ms = 0; ms < 15000; ms += 20) {
+    isOpen = processVadFrame(roomTone(), SAMPLE_RATE);
+  }
+
+  assert.equal(isOpen, false);
+  assert.ok(Math.abs(getVadState().noiseFloorDb - -40) < 1.5, `floor ${getVadState().noiseFloorDb} dB`);
+});
+
+test('speech with pauses keeps the floor at room tone and the gate open while talking', async () => {
+  const { processVadFrame, getVadState } = await loadVad('speech');
+  const roomTone = createNoise(-70);
+  const speech = createNoise(-25);
+
+  let openDuringSpeech = 0;
+  let speechFrames = 0;
+  for (let ms = 0; ms < 10000; ms += 20) {
+    // 400ms words, 200ms pauses
+    const isSpeaking = ms % 600 < 400;
+    const isOpen = processVadFrame(isSpeaking ? speech() : roomTone(), SAMPLE_RATE);
+    if (isSpeaking) {
+      speechFrames++;
+      if (isOpen) openDuringSpeech++;
+    }
+  }
+
+  assert.equal(openDuringSpeech, speechFrames);
+  assert.ok(getVadState().noiseFloorDb < -60, `floor ${getVadState().noiseFloorDb} dB`);
+});